@@ -8,13 +8,25 @@ import AppNavigator from './navigation/AppNavigator';
 
 // Import context providers - fix the path to be relative to app folder
 import { AuthProvider } from './contexts/AuthContext';
+import { SyncProvider } from './contexts/SyncContext';
+import { BookmarkProvider } from './contexts/BookmarkContext';
+import { FollowProvider } from './contexts/FollowContext';
+import { NotificationProvider } from './contexts/NotificationContext';
 
 export default function App() {
   return (
     <GestureHandlerRootView style={{ flex: 1 }}>
       <StatusBar style="light" />
       <AuthProvider>
-        <AppNavigator />
+        <SyncProvider>
+          <BookmarkProvider>
+            <FollowProvider>
+              <NotificationProvider>
+                <AppNavigator />
+              </NotificationProvider>
+            </FollowProvider>
+          </BookmarkProvider>
+        </SyncProvider>
       </AuthProvider>
     </GestureHandlerRootView>
   );
@@ -0,0 +1,7 @@
+// app/+native-intent.js
+
+// Every screen lives in the React Navigation stack rendered by app/index.js, which reads
+// incoming links itself (see services/DeepLinks.js) - keep the router on that one route
+export function redirectSystemPath() {
+  return '/';
+}
@@ -0,0 +1,4 @@
+// app/post/[id].js
+
+// Web address of a shared post - the app reads the URL and opens the post once logged in
+export { default } from '../index';
@@ -0,0 +1,184 @@
+// components/AttachmentEditor.js
+import React from 'react';
+import { View, Text, Image, ScrollView, TouchableOpacity, StyleSheet } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import ImageService, { MAX_ATTACHMENTS, resolveImageUrl } from '../services/ImageService';
+
+const attachmentKey = (attachment) => attachment.key || `image-${attachment.id}`;
+
+// Picks, removes and reorders the images attached to a post
+export default function AttachmentEditor({ attachments, onChange, disabled, uploadProgress }) {
+  const handleAdd = async () => {
+    const picked = await ImageService.pickImages(MAX_ATTACHMENTS - attachments.length);
+    if (picked.length > 0) {
+      onChange([...attachments, ...picked]);
+    }
+  };
+
+  const handleRemove = (index) => {
+    onChange(attachments.filter((_, itemIndex) => itemIndex !== index));
+  };
+
+  // Swap an image with its neighbour
+  const handleMove = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= attachments.length) return;
+
+    const reordered = [...attachments];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange(reordered);
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.labelRow}>
+        <Text style={styles.label}>Images</Text>
+        <Text style={styles.countText}>{attachments.length}/{MAX_ATTACHMENTS}</Text>
+      </View>
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.list}>
+        {attachments.map((attachment, index) => (
+          <View key={attachmentKey(attachment)} style={styles.item}>
+            <Image
+              source={{ uri: attachment.uri || resolveImageUrl(attachment.url) }}
+              style={styles.thumbnail}
+            />
+
+            {!disabled && (
+              <>
+                <TouchableOpacity
+                  style={styles.removeButton}
+                  onPress={() => handleRemove(index)}
+                  accessibilityLabel="Remove image"
+                >
+                  <Feather name="x" size={14} color="white" />
+                </TouchableOpacity>
+
+                {attachments.length > 1 && (
+                  <View style={styles.moveButtons}>
+                    <TouchableOpacity
+                      onPress={() => handleMove(index, -1)}
+                      disabled={index === 0}
+                      accessibilityLabel="Move image left"
+                    >
+                      <Feather name="chevron-left" size={18} color={index === 0 ? '#ccc' : '#333'} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      onPress={() => handleMove(index, 1)}
+                      disabled={index === attachments.length - 1}
+                      accessibilityLabel="Move image right"
+                    >
+                      <Feather
+                        name="chevron-right"
+                        size={18}
+                        color={index === attachments.length - 1 ? '#ccc' : '#333'}
+                      />
+                    </TouchableOpacity>
+                  </View>
+                )}
+              </>
+            )}
+          </View>
+        ))}
+
+        {!disabled && attachments.length < MAX_ATTACHMENTS && (
+          <TouchableOpacity style={styles.addTile} onPress={handleAdd}>
+            <Feather name="image" size={22} color="#FF6B6B" />
+            <Text style={styles.addText}>Add</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+
+      {uploadProgress != null && (
+        <View style={styles.progressContainer}>
+          <View style={styles.progressTrack}>
+            <View style={[styles.progressFill, { width: `${Math.round(uploadProgress * 100)}%` }]} />
+          </View>
+          <Text style={styles.progressText}>Uploading {Math.round(uploadProgress * 100)}%</Text>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 20,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  countText: {
+    fontSize: 12,
+    color: '#999',
+  },
+  list: {
+    alignItems: 'flex-start',
+  },
+  item: {
+    marginRight: 10,
+  },
+  thumbnail: {
+    width: 84,
+    height: 84,
+    borderRadius: 8,
+    backgroundColor: '#eee',
+  },
+  removeButton: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  moveButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  addTile: {
+    width: 84,
+    height: 84,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: '#FF6B6B',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  addText: {
+    marginTop: 4,
+    fontSize: 12,
+    color: '#FF6B6B',
+  },
+  progressContainer: {
+    marginTop: 10,
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#eee',
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 6,
+    backgroundColor: '#FF6B6B',
+  },
+  progressText: {
+    marginTop: 4,
+    fontSize: 12,
+    color: '#666',
+  },
+});
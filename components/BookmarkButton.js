@@ -0,0 +1,31 @@
+// components/BookmarkButton.js
+import React from 'react';
+import { TouchableOpacity, StyleSheet } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { useBookmarks } from '../contexts/BookmarkContext';
+
+// Toggle for saving a post to read later
+export default function BookmarkButton({ post, size = 18, color = '#f39c12', style }) {
+  const { isBookmarked, toggleBookmark } = useBookmarks();
+  const saved = isBookmarked(post.id);
+
+  return (
+    <TouchableOpacity
+      style={[styles.button, style]}
+      onPress={() => toggleBookmark(post)}
+      accessibilityLabel={saved ? 'Remove bookmark' : 'Bookmark post'}
+    >
+      <Feather
+        name="bookmark"
+        size={size}
+        color={saved ? color : '#bbb'}
+      />
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  button: {
+    padding: 6,
+  },
+});
@@ -0,0 +1,350 @@
+// components/CommentSection.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { useAuth } from '../contexts/AuthContext';
+import CommentService, { buildCommentTree } from '../services/CommentService';
+
+// Replies deeper than this are still shown but can't be replied to
+const MAX_REPLY_DEPTH = 3;
+
+export default function CommentSection({ postId }) {
+  const [comments, setComments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [text, setText] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [editingComment, setEditingComment] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { user, token, isAuthenticated, isAdmin } = useAuth();
+
+  // Fetch the comments of the post
+  const fetchComments = async () => {
+    try {
+      const response = await CommentService.getCommentsByPost(postId);
+      setComments(response);
+      setError(null);
+    } catch (error) {
+      setError('Failed to load comments.');
+      console.error('Error fetching comments:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchComments();
+  }, [postId]);
+
+  // Same rules as posts: owners edit and delete their own, admins delete anything
+  const canEditComment = (comment) => {
+    if (!isAuthenticated) return false;
+    return comment.userId === user.id;
+  };
+
+  const canDeleteComment = (comment) => {
+    if (!isAuthenticated) return false;
+    return isAdmin || comment.userId === user.id;
+  };
+
+  const startReply = (comment) => {
+    setEditingComment(null);
+    setReplyTo(comment);
+    setText('');
+  };
+
+  const startEdit = (comment) => {
+    setReplyTo(null);
+    setEditingComment(comment);
+    setText(comment.content);
+  };
+
+  const resetComposer = () => {
+    setReplyTo(null);
+    setEditingComment(null);
+    setText('');
+  };
+
+  const handleSubmit = async () => {
+    if (!text.trim()) {
+      Alert.alert('Error', 'Please enter a comment');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      if (editingComment) {
+        await CommentService.updateOwnComment(editingComment.id, text, token);
+      } else {
+        await CommentService.addComment(postId, text, replyTo?.id, token);
+      }
+
+      resetComposer();
+      fetchComments();
+    } catch (error) {
+      console.error('Comment operation error:', error.response?.data || error.message);
+      Alert.alert('Error', editingComment ? 'Failed to update comment' : 'Failed to add comment');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDeleteComment = (comment) => {
+    Alert.alert(
+      'Confirm Delete',
+      'Are you sure you want to delete this comment?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const isOwnComment = comment.userId === user.id;
+
+              if (isAdmin) {
+                await CommentService.deleteComment(comment.id, token);
+              } else if (isOwnComment) {
+                await CommentService.deleteOwnComment(comment.id, token);
+              } else {
+                Alert.alert('Error', 'You can only delete your own comments');
+                return;
+              }
+
+              fetchComments();
+            } catch (error) {
+              console.error('Error deleting comment:', error.response?.data || error.message);
+              Alert.alert('Error', 'Failed to delete comment: ' + (error.response?.data?.message || error.message));
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderComment = (comment, depth = 0) => (
+    <View key={comment.id} style={[styles.comment, depth > 0 && styles.reply]}>
+      <View style={styles.commentHeader}>
+        <View style={styles.authorInfo}>
+          <Feather name="user" size={12} color="#666" />
+          <Text style={styles.authorText}>
+            {comment.User ? comment.User.name : 'Unknown Author'}
+          </Text>
+        </View>
+        <Text style={styles.dateText}>
+          {new Date(comment.createdAt).toLocaleDateString()}
+        </Text>
+      </View>
+
+      <Text style={styles.commentText}>{comment.content}</Text>
+
+      <View style={styles.commentActions}>
+        {isAuthenticated && depth < MAX_REPLY_DEPTH && (
+          <TouchableOpacity style={styles.commentAction} onPress={() => startReply(comment)}>
+            <Feather name="corner-down-right" size={14} color="#3498db" />
+            <Text style={styles.commentActionText}>Reply</Text>
+          </TouchableOpacity>
+        )}
+        {canEditComment(comment) && (
+          <TouchableOpacity style={styles.commentAction} onPress={() => startEdit(comment)}>
+            <Feather name="edit-2" size={14} color="#3498db" />
+            <Text style={styles.commentActionText}>Edit</Text>
+          </TouchableOpacity>
+        )}
+        {canDeleteComment(comment) && (
+          <TouchableOpacity style={styles.commentAction} onPress={() => handleDeleteComment(comment)}>
+            <Feather name="trash-2" size={14} color="#e74c3c" />
+            <Text style={[styles.commentActionText, styles.deleteText]}>Delete</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {comment.replies.map(replyComment => renderComment(replyComment, depth + 1))}
+    </View>
+  );
+
+  const commentTree = buildCommentTree(comments);
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>Comments ({comments.length})</Text>
+
+      {isLoading ? (
+        <ActivityIndicator size="small" color="#FF6B6B" />
+      ) : error ? (
+        <TouchableOpacity onPress={fetchComments}>
+          <Text style={styles.errorText}>{error} Tap to retry.</Text>
+        </TouchableOpacity>
+      ) : commentTree.length === 0 ? (
+        <Text style={styles.emptyText}>No comments yet. Start the discussion!</Text>
+      ) : (
+        commentTree.map(comment => renderComment(comment))
+      )}
+
+      {isAuthenticated && (
+        <View style={styles.composer}>
+          {(replyTo || editingComment) && (
+            <View style={styles.composerContext}>
+              <Text style={styles.composerContextText}>
+                {editingComment
+                  ? 'Editing your comment'
+                  : `Replying to ${replyTo.User ? replyTo.User.name : 'comment'}`}
+              </Text>
+              <TouchableOpacity onPress={resetComposer}>
+                <Feather name="x" size={16} color="#666" />
+              </TouchableOpacity>
+            </View>
+          )}
+
+          <View style={styles.composerRow}>
+            <TextInput
+              style={styles.input}
+              value={text}
+              onChangeText={setText}
+              placeholder="Write a comment..."
+              placeholderTextColor="#999"
+              multiline
+            />
+            <TouchableOpacity
+              style={styles.sendButton}
+              onPress={handleSubmit}
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Feather name="send" size={18} color="white" />
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 12,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#e74c3c',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    marginBottom: 8,
+  },
+  comment: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  reply: {
+    marginLeft: 8,
+    marginTop: 8,
+    marginBottom: 0,
+    borderLeftWidth: 2,
+    borderLeftColor: '#f0f0f0',
+    backgroundColor: '#fcfcfc',
+  },
+  commentHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  authorInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  authorText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+    marginLeft: 5,
+  },
+  dateText: {
+    fontSize: 12,
+    color: '#999',
+  },
+  commentText: {
+    fontSize: 14,
+    lineHeight: 20,
+    color: '#333',
+  },
+  commentActions: {
+    flexDirection: 'row',
+    marginTop: 6,
+  },
+  commentAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  commentActionText: {
+    fontSize: 12,
+    color: '#3498db',
+    marginLeft: 4,
+  },
+  deleteText: {
+    color: '#e74c3c',
+  },
+  composer: {
+    marginTop: 8,
+  },
+  composerContext: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: '#eef6fc',
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginBottom: 6,
+  },
+  composerContextText: {
+    fontSize: 13,
+    color: '#3498db',
+  },
+  composerRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  input: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 14,
+    maxHeight: 120,
+  },
+  sendButton: {
+    backgroundColor: '#FF6B6B',
+    borderRadius: 20,
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+});
@@ -0,0 +1,210 @@
+// components/FeedFilterModal.js
+import React from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { SORT_OPTIONS, DATE_RANGES, DEFAULT_FEED_OPTIONS } from '../services/FeedPreferences';
+
+// Selectable pill used for every option in the sheet
+const OptionChip = ({ label, selected, onPress }) => (
+  <TouchableOpacity
+    style={[styles.option, selected && styles.optionSelected]}
+    onPress={onPress}
+  >
+    <Text style={[styles.optionText, selected && styles.optionTextSelected]}>{label}</Text>
+  </TouchableOpacity>
+);
+
+// Bottom sheet with the feed sort order and filters
+export default function FeedFilterModal({ visible, options, authors = [], onChange, onClose }) {
+  const update = (changes) => onChange({ ...options, ...changes });
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <View style={styles.sheetHeader}>
+            <Text style={styles.sheetTitle}>Sort & Filter</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Feather name="x" size={22} color="#333" />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView>
+            <Text style={styles.sectionTitle}>Sort by</Text>
+            <View style={styles.optionList}>
+              {SORT_OPTIONS.map(option => (
+                <OptionChip
+                  key={option.key}
+                  label={option.label}
+                  selected={options.sort === option.key}
+                  onPress={() => update({ sort: option.key })}
+                />
+              ))}
+            </View>
+
+            <Text style={styles.sectionTitle}>Show</Text>
+            <View style={styles.optionList}>
+              <OptionChip
+                label="All posts"
+                selected={!options.onlyMine}
+                onPress={() => update({ onlyMine: false })}
+              />
+              <OptionChip
+                label="Only my posts"
+                selected={options.onlyMine}
+                onPress={() => update({ onlyMine: true, author: null })}
+              />
+            </View>
+
+            {authors.length > 0 && (
+              <>
+                <Text style={styles.sectionTitle}>Author</Text>
+                <View style={styles.optionList}>
+                  <OptionChip
+                    label="Anyone"
+                    selected={!options.author}
+                    onPress={() => update({ author: null })}
+                  />
+                  {authors.map(author => (
+                    <OptionChip
+                      key={author.id}
+                      label={author.name}
+                      selected={String(options.author?.id) === String(author.id)}
+                      onPress={() => update({ author, onlyMine: false })}
+                    />
+                  ))}
+                </View>
+              </>
+            )}
+
+            <Text style={styles.sectionTitle}>Date</Text>
+            <View style={styles.optionList}>
+              <OptionChip
+                label="Any time"
+                selected={!options.dateRange}
+                onPress={() => update({ dateRange: null })}
+              />
+              {DATE_RANGES.map(range => (
+                <OptionChip
+                  key={range.key}
+                  label={range.label}
+                  selected={options.dateRange === range.key}
+                  onPress={() => update({ dateRange: range.key })}
+                />
+              ))}
+            </View>
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <TouchableOpacity
+              style={styles.resetButton}
+              onPress={() => onChange({ ...DEFAULT_FEED_OPTIONS, feed: options.feed })}
+            >
+              <Text style={styles.resetButtonText}>Reset</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.doneButton} onPress={onClose}>
+              <Text style={styles.doneButtonText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 16,
+    maxHeight: '80%',
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  sheetTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  optionList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  option: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  optionSelected: {
+    backgroundColor: '#FF6B6B',
+    borderColor: '#FF6B6B',
+  },
+  optionText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  optionTextSelected: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  footer: {
+    flexDirection: 'row',
+    marginTop: 16,
+  },
+  resetButton: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  resetButtonText: {
+    color: '#666',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  doneButton: {
+    flex: 1,
+    backgroundColor: '#FF6B6B',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  doneButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+});
@@ -0,0 +1,107 @@
+// components/FilterChipBar.js
+import React from 'react';
+import { ScrollView, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import {
+  SORT_OPTIONS,
+  DATE_RANGES,
+  DEFAULT_FEED_OPTIONS,
+  hasActiveFilters
+} from '../services/FeedPreferences';
+
+// Horizontal row of chips describing the current sort and filters
+export default function FilterChipBar({ options, onChange, onOpenFilters }) {
+  const sortLabel = SORT_OPTIONS.find(option => option.key === options.sort)?.label || 'Newest first';
+  const dateLabel = DATE_RANGES.find(range => range.key === options.dateRange)?.label;
+
+  const chips = [];
+  if (options.onlyMine) {
+    chips.push({ key: 'onlyMine', label: 'My posts', clear: { onlyMine: false } });
+  }
+  if (options.author) {
+    chips.push({ key: 'author', label: `By ${options.author.name}`, clear: { author: null } });
+  }
+  if (options.tag) {
+    chips.push({ key: 'tag', label: `#${options.tag}`, clear: { tag: null } });
+  }
+  if (dateLabel) {
+    chips.push({ key: 'dateRange', label: dateLabel, clear: { dateRange: null } });
+  }
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      style={styles.bar}
+      contentContainerStyle={styles.barContent}
+    >
+      <TouchableOpacity style={[styles.chip, styles.sortChip]} onPress={onOpenFilters}>
+        <Feather name="sliders" size={12} color="white" />
+        <Text style={[styles.chipText, styles.sortChipText]}>{sortLabel}</Text>
+      </TouchableOpacity>
+
+      {chips.map(chip => (
+        <TouchableOpacity
+          key={chip.key}
+          style={styles.chip}
+          onPress={() => onChange({ ...options, ...chip.clear })}
+        >
+          <Text style={styles.chipText}>{chip.label}</Text>
+          <Feather name="x" size={12} color="#666" />
+        </TouchableOpacity>
+      ))}
+
+      {hasActiveFilters(options) && (
+        <TouchableOpacity
+          style={styles.clearButton}
+          onPress={() => onChange({ ...DEFAULT_FEED_OPTIONS, feed: options.feed, sort: options.sort })}
+        >
+          <Text style={styles.clearText}>Clear filters</Text>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  bar: {
+    flexGrow: 0,
+    marginBottom: 8,
+  },
+  barContent: {
+    paddingHorizontal: 16,
+    alignItems: 'center',
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#eee',
+    borderRadius: 14,
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+    marginRight: 8,
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#333',
+    marginRight: 4,
+  },
+  sortChip: {
+    backgroundColor: '#FF6B6B',
+  },
+  sortChipText: {
+    color: 'white',
+    marginLeft: 4,
+    marginRight: 0,
+    fontWeight: '600',
+  },
+  clearButton: {
+    paddingVertical: 5,
+    paddingHorizontal: 4,
+  },
+  clearText: {
+    fontSize: 13,
+    color: '#FF6B6B',
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,59 @@
+// components/FollowButton.js
+import React from 'react';
+import { TouchableOpacity, Text, StyleSheet } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { useFollows } from '../contexts/FollowContext';
+
+// Follow / Following toggle for an author ({ id, name }) - onToggle(isNowFollowing) runs after a tap
+export default function FollowButton({ author, onToggle, style }) {
+  const { isFollowing, toggleFollow } = useFollows();
+  const followed = isFollowing(author.id);
+
+  const handlePress = () => {
+    toggleFollow(author);
+    onToggle?.(!followed);
+  };
+
+  return (
+    <TouchableOpacity
+      style={[styles.button, followed && styles.followingButton, style]}
+      onPress={handlePress}
+      accessibilityLabel={followed ? `Unfollow ${author.name}` : `Follow ${author.name}`}
+    >
+      <Feather
+        name={followed ? 'user-check' : 'user-plus'}
+        size={16}
+        color={followed ? '#FF6B6B' : 'white'}
+      />
+      <Text style={[styles.text, followed && styles.followingText]}>
+        {followed ? 'Following' : 'Follow'}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#FF6B6B',
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#FF6B6B',
+    paddingVertical: 8,
+    paddingHorizontal: 20,
+  },
+  followingButton: {
+    backgroundColor: 'white',
+  },
+  text: {
+    marginLeft: 6,
+    fontSize: 15,
+    fontWeight: '600',
+    color: 'white',
+  },
+  followingText: {
+    color: '#FF6B6B',
+  },
+});
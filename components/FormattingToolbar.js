@@ -0,0 +1,89 @@
+// components/FormattingToolbar.js
+import React from 'react';
+import { View, Text, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { FORMATS } from '../services/EditorTools';
+
+// Markdown formatting buttons plus undo/redo for the post editor
+export default function FormattingToolbar({ onFormat, onUndo, onRedo, canUndo, canRedo }) {
+  return (
+    <View style={styles.container}>
+      <ScrollView
+        horizontal
+        style={styles.formatsScroll}
+        showsHorizontalScrollIndicator={false}
+        keyboardShouldPersistTaps="always"
+        contentContainerStyle={styles.formats}
+      >
+        {FORMATS.map(format => (
+          <TouchableOpacity
+            key={format.key}
+            style={styles.button}
+            onPress={() => onFormat(format.key)}
+            accessibilityLabel={format.label}
+          >
+            {format.icon ? (
+              <Feather name={format.icon} size={18} color="#333" />
+            ) : (
+              <Text style={styles.buttonText}>{format.text}</Text>
+            )}
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      <View style={styles.history}>
+        <TouchableOpacity
+          style={styles.button}
+          onPress={onUndo}
+          disabled={!canUndo}
+          accessibilityLabel="Undo"
+        >
+          <Feather name="corner-up-left" size={18} color={canUndo ? '#333' : '#ccc'} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.button}
+          onPress={onRedo}
+          disabled={!canRedo}
+          accessibilityLabel="Redo"
+        >
+          <Feather name="corner-up-right" size={18} color={canRedo ? '#333' : '#ccc'} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f8f9fa',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderBottomWidth: 0,
+    borderTopLeftRadius: 8,
+    borderTopRightRadius: 8,
+    paddingHorizontal: 4,
+  },
+  formatsScroll: {
+    flex: 1,
+  },
+  formats: {
+    alignItems: 'center',
+  },
+  history: {
+    flexDirection: 'row',
+    borderLeftWidth: 1,
+    borderLeftColor: '#ddd',
+    paddingLeft: 4,
+  },
+  button: {
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+  },
+  buttonText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+});
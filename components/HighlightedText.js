@@ -0,0 +1,38 @@
+// components/HighlightedText.js
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Text with every occurrence of the search terms highlighted
+export default function HighlightedText({ text, terms = [], style, highlightStyle, ...props }) {
+  const content = text || '';
+
+  if (terms.length === 0 || !content) {
+    return <Text style={style} {...props}>{content}</Text>;
+  }
+
+  const pattern = new RegExp(`(${[...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})`, 'gi');
+  const parts = content.split(pattern);
+
+  return (
+    <Text style={style} {...props}>
+      {parts.map((part, index) => (
+        // split() with a capture group puts the matches at odd indexes
+        index % 2 === 1 ? (
+          <Text key={index} style={[styles.highlight, highlightStyle]}>{part}</Text>
+        ) : (
+          part
+        )
+      ))}
+    </Text>
+  );
+}
+
+const styles = StyleSheet.create({
+  highlight: {
+    backgroundColor: '#ffe3e3',
+    color: '#c0392b',
+    fontWeight: 'bold',
+  },
+});
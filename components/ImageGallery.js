@@ -0,0 +1,255 @@
+// components/ImageGallery.js
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  FlatList,
+  Modal,
+  TouchableOpacity,
+  StyleSheet,
+  useWindowDimensions
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { Gesture, GestureDetector, GestureHandlerRootView } from 'react-native-gesture-handler';
+import Animated, {
+  useSharedValue,
+  useAnimatedStyle,
+  withTiming,
+  runOnJS
+} from 'react-native-reanimated';
+import { resolveImageUrl } from '../services/ImageService';
+
+const MAX_ZOOM = 4;
+const DOUBLE_TAP_ZOOM = 2;
+
+// Full-screen image with pinch, pan and double-tap zoom
+function ZoomableImage({ uri, width, height, onZoomChange }) {
+  const [isZoomed, setIsZoomed] = useState(false);
+
+  const scale = useSharedValue(1);
+  const savedScale = useSharedValue(1);
+  const translateX = useSharedValue(0);
+  const translateY = useSharedValue(0);
+  const savedTranslateX = useSharedValue(0);
+  const savedTranslateY = useSharedValue(0);
+
+  // Tell the pager to stop swiping while the image is zoomed in
+  const reportZoom = (zoomed) => {
+    setIsZoomed(zoomed);
+    onZoomChange(zoomed);
+  };
+
+  const clampTranslation = (value, size, currentScale) => {
+    'worklet';
+    const limit = (size * (currentScale - 1)) / 2;
+    return Math.min(limit, Math.max(-limit, value));
+  };
+
+  const reset = () => {
+    'worklet';
+    scale.value = withTiming(1);
+    savedScale.value = 1;
+    translateX.value = withTiming(0);
+    translateY.value = withTiming(0);
+    savedTranslateX.value = 0;
+    savedTranslateY.value = 0;
+  };
+
+  const pinch = Gesture.Pinch()
+    .onUpdate((event) => {
+      scale.value = Math.min(MAX_ZOOM, Math.max(1, savedScale.value * event.scale));
+    })
+    .onEnd(() => {
+      savedScale.value = scale.value;
+      if (scale.value <= 1) {
+        reset();
+      }
+      runOnJS(reportZoom)(scale.value > 1);
+    });
+
+  // Panning only makes sense once zoomed in - otherwise swipes go to the pager
+  const pan = Gesture.Pan()
+    .enabled(isZoomed)
+    .averageTouches(true)
+    .onUpdate((event) => {
+      translateX.value = clampTranslation(savedTranslateX.value + event.translationX, width, scale.value);
+      translateY.value = clampTranslation(savedTranslateY.value + event.translationY, height, scale.value);
+    })
+    .onEnd(() => {
+      savedTranslateX.value = translateX.value;
+      savedTranslateY.value = translateY.value;
+    });
+
+  const doubleTap = Gesture.Tap()
+    .numberOfTaps(2)
+    .onEnd(() => {
+      if (savedScale.value > 1) {
+        reset();
+        runOnJS(reportZoom)(false);
+      } else {
+        scale.value = withTiming(DOUBLE_TAP_ZOOM);
+        savedScale.value = DOUBLE_TAP_ZOOM;
+        runOnJS(reportZoom)(true);
+      }
+    });
+
+  const animatedStyle = useAnimatedStyle(() => ({
+    transform: [
+      { translateX: translateX.value },
+      { translateY: translateY.value },
+      { scale: scale.value }
+    ]
+  }));
+
+  return (
+    <GestureDetector gesture={Gesture.Simultaneous(pinch, pan, doubleTap)}>
+      <Animated.View style={[{ width, height }, styles.zoomContainer]}>
+        <Animated.Image
+          source={{ uri }}
+          style={[{ width, height }, animatedStyle]}
+          resizeMode="contain"
+        />
+      </Animated.View>
+    </GestureDetector>
+  );
+}
+
+// Swipeable images of a post - tapping one opens it full screen
+export default function ImageGallery({ images, style }) {
+  const [galleryWidth, setGalleryWidth] = useState(0);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [viewerIndex, setViewerIndex] = useState(null);
+  const [isZoomed, setIsZoomed] = useState(false);
+
+  const { width: screenWidth, height: screenHeight } = useWindowDimensions();
+
+  if (!images || images.length === 0) {
+    return null;
+  }
+
+  const closeViewer = () => {
+    setViewerIndex(null);
+    setIsZoomed(false);
+  };
+
+  const pageIndex = (event, width) => Math.round(event.nativeEvent.contentOffset.x / width);
+
+  return (
+    <View style={style} onLayout={(event) => setGalleryWidth(event.nativeEvent.layout.width)}>
+      {galleryWidth > 0 && (
+        <FlatList
+          data={images}
+          horizontal
+          pagingEnabled
+          showsHorizontalScrollIndicator={false}
+          keyExtractor={(item, index) => String(item.id ?? index)}
+          onMomentumScrollEnd={(event) => setActiveIndex(pageIndex(event, galleryWidth))}
+          renderItem={({ item, index }) => (
+            <TouchableOpacity activeOpacity={0.9} onPress={() => setViewerIndex(index)}>
+              <Image
+                source={{ uri: resolveImageUrl(item.url) }}
+                style={[styles.slide, { width: galleryWidth, height: galleryWidth * 0.66 }]}
+              />
+            </TouchableOpacity>
+          )}
+        />
+      )}
+
+      {images.length > 1 && (
+        <View style={styles.dots}>
+          {images.map((image, index) => (
+            <View
+              key={String(image.id ?? index)}
+              style={[styles.dot, index === activeIndex && styles.dotActive]}
+            />
+          ))}
+        </View>
+      )}
+
+      <Modal
+        visible={viewerIndex !== null}
+        animationType="fade"
+        onRequestClose={closeViewer}
+      >
+        {/* Modals render outside the app's root view, so gestures need their own root */}
+        <GestureHandlerRootView style={styles.viewer}>
+          <FlatList
+            data={images}
+            horizontal
+            pagingEnabled
+            scrollEnabled={!isZoomed}
+            showsHorizontalScrollIndicator={false}
+            initialScrollIndex={viewerIndex ?? 0}
+            getItemLayout={(data, index) => ({ length: screenWidth, offset: screenWidth * index, index })}
+            keyExtractor={(item, index) => String(item.id ?? index)}
+            onMomentumScrollEnd={(event) => setViewerIndex(pageIndex(event, screenWidth))}
+            renderItem={({ item }) => (
+              <ZoomableImage
+                uri={resolveImageUrl(item.url)}
+                width={screenWidth}
+                height={screenHeight}
+                onZoomChange={setIsZoomed}
+              />
+            )}
+          />
+
+          <View style={styles.viewerHeader}>
+            <Text style={styles.viewerCounter}>
+              {(viewerIndex ?? 0) + 1} / {images.length}
+            </Text>
+            <TouchableOpacity style={styles.closeButton} onPress={closeViewer} accessibilityLabel="Close">
+              <Feather name="x" size={24} color="white" />
+            </TouchableOpacity>
+          </View>
+        </GestureHandlerRootView>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  slide: {
+    backgroundColor: '#eee',
+  },
+  dots: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 8,
+  },
+  dot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#ddd',
+    marginHorizontal: 3,
+  },
+  dotActive: {
+    backgroundColor: '#FF6B6B',
+  },
+  viewer: {
+    flex: 1,
+    backgroundColor: 'black',
+  },
+  zoomContainer: {
+    overflow: 'hidden',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  viewerHeader: {
+    position: 'absolute',
+    top: 40,
+    left: 16,
+    right: 16,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  viewerCounter: {
+    color: 'white',
+    fontSize: 16,
+  },
+  closeButton: {
+    padding: 6,
+  },
+});
@@ -0,0 +1,211 @@
+// components/MarkdownView.js
+import React from 'react';
+import { View, Text, ScrollView, StyleSheet, Linking, Platform } from 'react-native';
+import { parseMarkdown, parseInline, sanitizeUrl } from '../services/MarkdownParser';
+
+const MONOSPACE_FONT = Platform.select({ ios: 'Menlo', default: 'monospace' });
+
+const openLink = async (url) => {
+  // Checked again at press time - never open anything but http(s) and mailto
+  const safeUrl = sanitizeUrl(url);
+  if (!safeUrl) return;
+
+  try {
+    await Linking.openURL(safeUrl);
+  } catch (error) {
+    console.error('Error opening link:', safeUrl, error.message);
+  }
+};
+
+// On web links render as real anchors that open in a new tab without access to this window
+const linkProps = (url) => (
+  Platform.OS === 'web'
+    ? { href: url, hrefAttrs: { target: '_blank', rel: 'noopener noreferrer nofollow' } }
+    : { onPress: () => openLink(url) }
+);
+
+const renderInline = (nodes, keyPrefix = 'i') => nodes.map((node, index) => {
+  const key = `${keyPrefix}-${index}`;
+
+  switch (node.type) {
+    case 'code':
+      return <Text key={key} style={styles.inlineCode}>{node.text}</Text>;
+    case 'bold':
+      return <Text key={key} style={styles.bold}>{renderInline(node.children, key)}</Text>;
+    case 'italic':
+      return <Text key={key} style={styles.italic}>{renderInline(node.children, key)}</Text>;
+    case 'strike':
+      return <Text key={key} style={styles.strike}>{renderInline(node.children, key)}</Text>;
+    case 'link':
+      // Unsafe links are shown as their text only
+      if (!node.url) {
+        return <Text key={key}>{renderInline(node.children, key)}</Text>;
+      }
+      return (
+        <Text key={key} style={styles.link} accessibilityRole="link" {...linkProps(node.url)}>
+          {renderInline(node.children, key)}
+        </Text>
+      );
+    default:
+      return node.text;
+  }
+});
+
+const renderBlocks = (blocks, textStyle, keyPrefix = 'b') => blocks.map((block, index) => {
+  const key = `${keyPrefix}-${index}`;
+
+  switch (block.type) {
+    case 'heading':
+      return (
+        <Text key={key} style={[textStyle, styles.heading, styles[`heading${block.level}`]]}>
+          {renderInline(parseInline(block.text), key)}
+        </Text>
+      );
+    case 'list':
+      return (
+        <View key={key} style={styles.list}>
+          {block.items.map((item, itemIndex) => (
+            <View key={`${key}-${itemIndex}`} style={[styles.listItem, { marginLeft: item.depth * 16 }]}>
+              <Text style={[textStyle, styles.listMarker]}>
+                {block.ordered ? `${block.start + itemIndex}.` : '•'}
+              </Text>
+              <Text style={[textStyle, styles.listText]}>
+                {renderInline(parseInline(item.text), `${key}-${itemIndex}`)}
+              </Text>
+            </View>
+          ))}
+        </View>
+      );
+    case 'code':
+      return (
+        <ScrollView key={key} horizontal style={styles.codeBlock} contentContainerStyle={styles.codeBlockContent}>
+          <Text style={styles.codeText} selectable>{block.text}</Text>
+        </ScrollView>
+      );
+    case 'quote':
+      return (
+        <View key={key} style={styles.quote}>
+          {renderBlocks(block.blocks, [textStyle, styles.quoteText], key)}
+        </View>
+      );
+    case 'rule':
+      return <View key={key} style={styles.rule} />;
+    default:
+      return (
+        <Text key={key} style={[textStyle, styles.paragraph]}>
+          {renderInline(parseInline(block.text), key)}
+        </Text>
+      );
+  }
+});
+
+// Renders Markdown post content with native components - raw HTML is never rendered
+export default function MarkdownView({ content, textStyle, style }) {
+  return (
+    <View style={style}>
+      {renderBlocks(parseMarkdown(content), [styles.text, textStyle])}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  text: {
+    fontSize: 16,
+    lineHeight: 24,
+    color: '#333',
+  },
+  paragraph: {
+    marginBottom: 12,
+  },
+  heading: {
+    fontWeight: 'bold',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  heading1: {
+    fontSize: 24,
+    lineHeight: 32,
+  },
+  heading2: {
+    fontSize: 21,
+    lineHeight: 28,
+  },
+  heading3: {
+    fontSize: 18,
+    lineHeight: 26,
+  },
+  heading4: {
+    fontSize: 16,
+  },
+  heading5: {
+    fontSize: 15,
+  },
+  heading6: {
+    fontSize: 14,
+    color: '#666',
+  },
+  bold: {
+    fontWeight: 'bold',
+  },
+  italic: {
+    fontStyle: 'italic',
+  },
+  strike: {
+    textDecorationLine: 'line-through',
+  },
+  link: {
+    color: '#FF6B6B',
+    textDecorationLine: 'underline',
+  },
+  inlineCode: {
+    fontFamily: MONOSPACE_FONT,
+    fontSize: 14,
+    backgroundColor: '#f0f0f0',
+    color: '#c0392b',
+  },
+  list: {
+    marginBottom: 12,
+  },
+  listItem: {
+    flexDirection: 'row',
+    marginBottom: 4,
+  },
+  listMarker: {
+    minWidth: 22,
+    color: '#666',
+  },
+  listText: {
+    flex: 1,
+  },
+  codeBlock: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#eee',
+    marginBottom: 12,
+  },
+  codeBlockContent: {
+    padding: 12,
+  },
+  codeText: {
+    fontFamily: MONOSPACE_FONT,
+    fontSize: 13,
+    lineHeight: 20,
+    color: '#333',
+  },
+  quote: {
+    borderLeftWidth: 4,
+    borderLeftColor: '#FF6B6B',
+    paddingLeft: 12,
+    marginBottom: 12,
+  },
+  quoteText: {
+    color: '#666',
+    fontStyle: 'italic',
+  },
+  rule: {
+    height: 1,
+    backgroundColor: '#eee',
+    marginVertical: 16,
+  },
+});
@@ -0,0 +1,96 @@
+// components/ProfileHeader.js
+import React from 'react';
+import { View, Text, Image, StyleSheet } from 'react-native';
+import { resolveImageUrl } from '../services/ImageService';
+
+// Avatar, name, an optional subtitle (like the email) and a row of stats - stats is [{ label, value }].
+// Children (like a follow button) go between the name and the stats.
+export default function ProfileHeader({ name, avatarUrl, subtitle, stats = [], children }) {
+  return (
+    <View style={styles.profileHeader}>
+      <View style={styles.avatarContainer}>
+        {avatarUrl ? (
+          <Image source={{ uri: resolveImageUrl(avatarUrl) }} style={styles.avatar} />
+        ) : (
+          <View style={styles.avatar}>
+            <Text style={styles.avatarText}>
+              {name ? name.charAt(0).toUpperCase() : '?'}
+            </Text>
+          </View>
+        )}
+      </View>
+
+      <Text style={styles.username}>{name || 'User'}</Text>
+      {subtitle ? <Text style={styles.email}>{subtitle}</Text> : null}
+      {children}
+
+      <View style={[styles.statsContainer, !subtitle && styles.statsWithoutSubtitle]}>
+        {stats.map(stat => (
+          <View key={stat.label} style={styles.statsItem}>
+            <Text style={styles.statsValue}>{stat.value}</Text>
+            <Text style={styles.statsLabel}>{stat.label}</Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  profileHeader: {
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  avatarContainer: {
+    marginBottom: 16,
+  },
+  avatar: {
+    width: 100,
+    height: 100,
+    borderRadius: 50,
+    backgroundColor: '#FF6B6B',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  avatarText: {
+    fontSize: 40,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  username: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 4,
+  },
+  email: {
+    fontSize: 16,
+    color: '#666',
+    marginBottom: 16,
+  },
+  statsContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    width: '100%',
+    marginTop: 10,
+  },
+  statsWithoutSubtitle: {
+    marginTop: 16,
+  },
+  statsItem: {
+    alignItems: 'center',
+  },
+  statsValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  statsLabel: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+});
@@ -0,0 +1,318 @@
+// components/ReactionBar.js
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  FlatList,
+  ActivityIndicator,
+  StyleSheet,
+  Alert
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { useAuth } from '../contexts/AuthContext';
+import PostService, {
+  REACTIONS,
+  getPostReactionSummary,
+  isReactionsSupported
+} from '../services/PostService';
+
+// Summary with one reaction type switched on or off for the current user
+const toggleInSummary = (summary, type) => {
+  const hasReacted = summary.mine.includes(type);
+  const count = summary.counts[type] || 0;
+
+  return {
+    counts: { ...summary.counts, [type]: Math.max(0, count + (hasReacted ? -1 : 1)) },
+    mine: hasReacted ? summary.mine.filter(item => item !== type) : [...summary.mine, type]
+  };
+};
+
+// Like button plus emoji reactions for a post, with optimistic toggles. Lists pass the
+// summaries they fetched in one go as `reactions`, turn off the per-post fetch and keep
+// confirmed toggles through onChange(summary).
+export default function ReactionBar({ post, reactions = null, fetchMissing = true, onChange, style }) {
+  const { user, token, isAuthenticated } = useAuth();
+
+  const knownSummary = reactions || getPostReactionSummary(post, user?.id);
+  const knownSummaryKey = knownSummary ? JSON.stringify(knownSummary) : null;
+
+  const [summary, setSummary] = useState(knownSummary);
+  const [isSupported, setIsSupported] = useState(isReactionsSupported());
+  const [isPickerVisible, setIsPickerVisible] = useState(false);
+  const [reactorsType, setReactorsType] = useState(null);
+  const [reactors, setReactors] = useState([]);
+  const [isLoadingReactors, setIsLoadingReactors] = useState(false);
+
+  // Reaction types with a request in flight, so double taps don't race
+  const pendingTypesRef = useRef(new Set());
+
+  // Follow refreshed and realtime-updated posts - only when the reactions themselves
+  // changed (not just the post object), and not while a toggle is on its way
+  useEffect(() => {
+    if (knownSummary && pendingTypesRef.current.size === 0) {
+      setSummary(knownSummary);
+    }
+  }, [knownSummaryKey]);
+
+  // Fetch reactions when the post payload didn't include them
+  useEffect(() => {
+    if (summary || !isSupported || !fetchMissing) return;
+
+    let isCurrent = true;
+    PostService.getReactions(post.id, user?.id)
+      .then(result => {
+        if (!isCurrent) return;
+        if (result) {
+          setSummary(result);
+        } else {
+          setIsSupported(isReactionsSupported());
+        }
+      })
+      .catch(() => {});
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [post.id, fetchMissing]);
+
+  if (!isSupported) return null;
+
+  const current = summary || { counts: {}, mine: [] };
+
+  const toggleReaction = async (type) => {
+    if (!isAuthenticated) {
+      Alert.alert('Login Required', 'Please log in to react to posts');
+      return;
+    }
+    if (pendingTypesRef.current.has(type)) return;
+
+    const previous = current;
+    const hasReacted = previous.mine.includes(type);
+
+    const toggled = toggleInSummary(previous, type);
+    setIsPickerVisible(false);
+    setSummary(toggled);
+    pendingTypesRef.current.add(type);
+
+    try {
+      if (hasReacted) {
+        await PostService.removeReaction(post.id, type, token);
+      } else {
+        await PostService.addReaction(post.id, type, token);
+      }
+      onChange?.(toggled);
+    } catch (error) {
+      // Roll back the optimistic change
+      setSummary(previous);
+
+      if (!isReactionsSupported()) {
+        setIsSupported(false);
+        Alert.alert('Not Available', 'Reactions are not supported by the server yet');
+      } else {
+        Alert.alert('Error', 'Failed to update reaction: ' + (error.response?.data?.message || error.message));
+      }
+    } finally {
+      pendingTypesRef.current.delete(type);
+    }
+  };
+
+  // List the users behind a reaction count
+  const showReactors = async (type) => {
+    setReactorsType(type);
+    setReactors([]);
+    setIsLoadingReactors(true);
+
+    try {
+      const users = await PostService.getReactionUsers(post.id, type);
+      setReactors(users);
+    } catch (error) {
+      Alert.alert('Error', 'Could not load who reacted');
+      setReactorsType(null);
+    } finally {
+      setIsLoadingReactors(false);
+    }
+  };
+
+  const visibleReactions = REACTIONS.filter(reaction => (
+    reaction.type === 'like' || (current.counts[reaction.type] || 0) > 0
+  ));
+  const reactorsEmoji = REACTIONS.find(reaction => reaction.type === reactorsType)?.emoji;
+
+  return (
+    <View style={[styles.container, style]}>
+      {visibleReactions.map(reaction => {
+        const count = current.counts[reaction.type] || 0;
+        const isMine = current.mine.includes(reaction.type);
+
+        return (
+          <View key={reaction.type} style={[styles.chip, isMine && styles.chipActive]}>
+            <TouchableOpacity onPress={() => toggleReaction(reaction.type)}>
+              <Text style={styles.emoji}>{reaction.emoji}</Text>
+            </TouchableOpacity>
+            {count > 0 && (
+              <TouchableOpacity onPress={() => showReactors(reaction.type)}>
+                <Text style={[styles.count, isMine && styles.countActive]}>{count}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        );
+      })}
+
+      {isAuthenticated && (
+        <TouchableOpacity
+          style={styles.addButton}
+          onPress={() => setIsPickerVisible(!isPickerVisible)}
+        >
+          <Feather name={isPickerVisible ? 'x' : 'smile'} size={16} color="#999" />
+        </TouchableOpacity>
+      )}
+
+      {isPickerVisible && (
+        <View style={styles.picker}>
+          {REACTIONS.map(reaction => (
+            <TouchableOpacity
+              key={reaction.type}
+              style={styles.pickerItem}
+              onPress={() => toggleReaction(reaction.type)}
+            >
+              <Text style={styles.pickerEmoji}>{reaction.emoji}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      <Modal
+        visible={reactorsType !== null}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setReactorsType(null)}
+      >
+        <View style={styles.backdrop}>
+          <View style={styles.sheet}>
+            <View style={styles.sheetHeader}>
+              <Text style={styles.sheetTitle}>{reactorsEmoji} Reactions</Text>
+              <TouchableOpacity onPress={() => setReactorsType(null)}>
+                <Feather name="x" size={22} color="#333" />
+              </TouchableOpacity>
+            </View>
+
+            {isLoadingReactors ? (
+              <ActivityIndicator size="small" color="#FF6B6B" />
+            ) : (
+              <FlatList
+                data={reactors}
+                keyExtractor={(item, index) => String(item.id ?? index)}
+                renderItem={({ item }) => (
+                  <View style={styles.reactorRow}>
+                    <Feather name="user" size={14} color="#666" />
+                    <Text style={styles.reactorName}>{item.name || 'Unknown user'}</Text>
+                  </View>
+                )}
+                ListEmptyComponent={<Text style={styles.emptyText}>No one yet</Text>}
+              />
+            )}
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#eee',
+    borderRadius: 14,
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  chipActive: {
+    borderColor: '#FF6B6B',
+    backgroundColor: '#fff0f0',
+  },
+  emoji: {
+    fontSize: 15,
+  },
+  count: {
+    fontSize: 13,
+    color: '#666',
+    marginLeft: 4,
+  },
+  countActive: {
+    color: '#FF6B6B',
+    fontWeight: 'bold',
+  },
+  addButton: {
+    padding: 4,
+    marginBottom: 4,
+  },
+  picker: {
+    flexDirection: 'row',
+    backgroundColor: 'white',
+    borderRadius: 20,
+    paddingHorizontal: 6,
+    marginLeft: 4,
+    marginBottom: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.15,
+    shadowRadius: 3,
+    elevation: 3,
+  },
+  pickerItem: {
+    padding: 6,
+  },
+  pickerEmoji: {
+    fontSize: 20,
+  },
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    padding: 24,
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    maxHeight: '60%',
+  },
+  sheetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  sheetTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  reactorRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  reactorName: {
+    fontSize: 15,
+    color: '#333',
+    marginLeft: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+  },
+});
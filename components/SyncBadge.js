@@ -0,0 +1,54 @@
+// components/SyncBadge.js
+import React from 'react';
+import { Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { SYNC_STATUS } from '../services/SyncQueue';
+import { useSync } from '../contexts/SyncContext';
+
+// Icon, label and colour for each queue status
+const BADGES = {
+  [SYNC_STATUS.PENDING]: { icon: 'clock', label: 'Pending sync', color: '#f39c12' },
+  [SYNC_STATUS.SYNCING]: { icon: 'refresh-cw', label: 'Syncing...', color: '#3498db' },
+  [SYNC_STATUS.FAILED]: { icon: 'alert-triangle', label: 'Sync failed', color: '#e74c3c' },
+  [SYNC_STATUS.CONFLICT]: { icon: 'git-merge', label: 'Conflict', color: '#9b59b6' }
+};
+
+// Small pill shown on posts with queued changes - tap to retry, resolve or discard
+export default function SyncBadge({ sync, style }) {
+  const { promptSyncIssue } = useSync();
+
+  if (!sync) return null;
+
+  const badge = BADGES[sync.status] || BADGES[SYNC_STATUS.PENDING];
+  const isDelete = sync.type === 'deletePost' || sync.type === 'deleteOwnPost';
+
+  return (
+    <TouchableOpacity
+      style={[styles.badge, { borderColor: badge.color }, style]}
+      onPress={() => promptSyncIssue(sync)}
+    >
+      <Feather name={badge.icon} size={12} color={badge.color} />
+      <Text style={[styles.badgeText, { color: badge.color }]}>
+        {isDelete && sync.status === SYNC_STATUS.PENDING ? 'Pending delete' : badge.label}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+    marginBottom: 8,
+  },
+  badgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+});
@@ -0,0 +1,51 @@
+// components/TagChips.js
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+
+// Row of #tag chips - tapping one calls onPressTag with its name
+export default function TagChips({ tags, onPressTag, activeTag, style }) {
+  if (!tags || tags.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={[styles.container, style]}>
+      {tags.map(tag => (
+        <TouchableOpacity
+          key={tag}
+          style={[styles.chip, tag === activeTag && styles.chipActive]}
+          onPress={() => onPressTag?.(tag)}
+          disabled={!onPressTag}
+        >
+          <Text style={[styles.chipText, tag === activeTag && styles.chipTextActive]}>#{tag}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    backgroundColor: '#fff0f0',
+    borderRadius: 12,
+    paddingVertical: 3,
+    paddingHorizontal: 8,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  chipActive: {
+    backgroundColor: '#FF6B6B',
+  },
+  chipText: {
+    fontSize: 12,
+    color: '#FF6B6B',
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+});
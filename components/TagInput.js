@@ -0,0 +1,168 @@
+// components/TagInput.js
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import TagService, { MAX_TAGS_PER_POST, normalizeTag, suggestTags } from '../services/TagService';
+
+// Editable list of tags with suggestions from the tags already in use
+export default function TagInput({ tags, onChange, disabled }) {
+  const [query, setQuery] = useState('');
+  const [allTags, setAllTags] = useState([]);
+
+  useEffect(() => {
+    TagService.getAllTags().then(setAllTags);
+  }, []);
+
+  const suggestions = suggestTags(query, allTags, tags);
+  const isFull = tags.length >= MAX_TAGS_PER_POST;
+
+  const addTag = (name) => {
+    const tag = normalizeTag(name);
+    setQuery('');
+    if (!tag || tags.includes(tag) || isFull) return;
+
+    onChange([...tags, tag]);
+  };
+
+  // A comma or space finishes the tag being typed
+  const handleChangeText = (text) => {
+    if (/[,\s]$/.test(text)) {
+      addTag(text);
+    } else {
+      setQuery(text);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.labelRow}>
+        <Text style={styles.label}>Tags</Text>
+        <Text style={styles.countText}>{tags.length}/{MAX_TAGS_PER_POST}</Text>
+      </View>
+
+      <View style={styles.field}>
+        {tags.map(tag => (
+          <View key={tag} style={styles.chip}>
+            <Text style={styles.chipText}>#{tag}</Text>
+            {!disabled && (
+              <TouchableOpacity
+                onPress={() => onChange(tags.filter(item => item !== tag))}
+                accessibilityLabel={`Remove tag ${tag}`}
+              >
+                <Feather name="x" size={12} color="#FF6B6B" />
+              </TouchableOpacity>
+            )}
+          </View>
+        ))}
+
+        {!isFull && !disabled && (
+          <TextInput
+            style={styles.input}
+            value={query}
+            onChangeText={handleChangeText}
+            onSubmitEditing={() => addTag(query)}
+            placeholder={tags.length === 0 ? 'Add tags, e.g. travel' : 'Add tag'}
+            placeholderTextColor="#999"
+            autoCapitalize="none"
+            autoCorrect={false}
+            blurOnSubmit={false}
+            returnKeyType="done"
+          />
+        )}
+      </View>
+
+      {suggestions.length > 0 && (
+        <View style={styles.suggestions}>
+          {suggestions.map(tag => (
+            <TouchableOpacity
+              key={tag.name}
+              style={styles.suggestion}
+              onPress={() => addTag(tag.name)}
+            >
+              <Text style={styles.suggestionText}>#{tag.name}</Text>
+              {tag.count > 0 && <Text style={styles.suggestionCount}>{tag.count}</Text>}
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 20,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  countText: {
+    fontSize: 12,
+    color: '#999',
+  },
+  field: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    backgroundColor: '#f8f9fa',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingTop: 8,
+    minHeight: 46,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff0f0',
+    borderRadius: 12,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    marginRight: 6,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#FF6B6B',
+    marginRight: 4,
+  },
+  input: {
+    flex: 1,
+    minWidth: 100,
+    fontSize: 16,
+    paddingVertical: 4,
+    marginBottom: 8,
+  },
+  suggestions: {
+    marginTop: 4,
+    borderWidth: 1,
+    borderColor: '#eee',
+    borderRadius: 8,
+    backgroundColor: 'white',
+  },
+  suggestion: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  suggestionText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  suggestionCount: {
+    fontSize: 12,
+    color: '#999',
+  },
+});
@@ -0,0 +1,91 @@
+// components/UndoSnackbar.js
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, AppState } from 'react-native';
+import OptimisticPosts from '../services/OptimisticPosts';
+
+// Bottom bar offering to undo the latest delete while it is still waiting to be sent.
+// Rendered once over the logged-in stack so it stays visible after leaving a post.
+export default function UndoSnackbar() {
+  const [undoable, setUndoable] = useState([]);
+
+  useEffect(() => {
+    return OptimisticPosts.subscribe((entries) => {
+      setUndoable(entries.filter(entry => entry.undoUntil));
+    });
+  }, []);
+
+  // Waiting deletes are sent when the app leaves the foreground, and dropped on
+  // logout (this bar unmounts with the logged-in stack)
+  useEffect(() => {
+    const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState !== 'active') {
+        OptimisticPosts.sendPending();
+      }
+    });
+
+    return () => {
+      appStateSubscription.remove();
+      OptimisticPosts.cancelPending();
+    };
+  }, []);
+
+  if (undoable.length === 0) return null;
+
+  const latest = undoable[undoable.length - 1];
+  const message = undoable.length > 1
+    ? `${undoable.length} posts deleted`
+    : latest.label ? `Deleted "${latest.label}"` : 'Post deleted';
+
+  return (
+    <View style={styles.container} pointerEvents="box-none">
+      <View style={styles.snackbar}>
+        <Text style={styles.message} numberOfLines={1}>{message}</Text>
+        <TouchableOpacity
+          style={styles.undoButton}
+          onPress={() => undoable.forEach(entry => OptimisticPosts.undo(entry.id))}
+          accessibilityRole="button"
+          accessibilityLabel="Undo delete"
+        >
+          <Text style={styles.undoText}>UNDO</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 24,
+  },
+  snackbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#333',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+    elevation: 6,
+  },
+  message: {
+    flex: 1,
+    color: 'white',
+    fontSize: 14,
+  },
+  undoButton: {
+    marginLeft: 16,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  undoText: {
+    color: '#FF6B6B',
+    fontWeight: 'bold',
+    fontSize: 14,
+  },
+});
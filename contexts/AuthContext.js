@@ -1,25 +1,82 @@
 // contexts/AuthContext.js - getUserProfile function update
-import React, { createContext, useState, useEffect, useContext } from 'react';
+import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import axios from 'axios';
-import { Platform } from 'react-native';
+import { Alert } from 'react-native';
+import ApiClient, {
+  API_URL,
+  setAuthToken,
+  setSessionExpiredHandler,
+  setTokenRefreshHandler,
+  refreshAccessToken
+} from '../services/ApiClient';
 
 // Create the authentication context
 export const AuthContext = createContext();
 
-// API Base URL - dynamically set based on platform
-const API_URL = Platform.OS === 'android' 
-  ? 'http://10.0.2.2:3000'  // Android emulator special IP for host's localhost
-  : 'http://localhost:3000'; // iOS simulator or web
+// Shown on the login screen when the server rejects the stored token
+export const SESSION_EXPIRED_MESSAGE = 'Your session has expired. Please log in again.';
 
-// For debugging
-console.log('Using API URL:', API_URL);
+// How long before expiry the user gets warned
+const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+
+// setTimeout fires immediately for delays above this (about 24.8 days)
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Decode a base64url segment to text - JWT segments are UTF-8 JSON
+const decodeBase64Url = (segment) => {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+
+  for (const char of segment.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '')) {
+    const value = BASE64_CHARS.indexOf(char);
+    if (value === -1) throw new Error('Invalid base64 character');
+
+    buffer = ((buffer << 6) | value) & 0xffffff;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+
+  return decodeURIComponent(bytes.map(byte => `%${byte.toString(16).padStart(2, '0')}`).join(''));
+};
+
+// Decode the JWT payload without verifying it (the server does that)
+export const decodeToken = (jwtToken) => {
+  try {
+    const payload = typeof jwtToken === 'string' ? jwtToken.split('.')[1] : null;
+    if (!payload) return null;
+
+    const claims = JSON.parse(decodeBase64Url(payload));
+    return claims && typeof claims === 'object' ? claims : null;
+  } catch (error) {
+    console.error('Failed to decode token:', error);
+    return null;
+  }
+};
+
+// Expiry of a decoded token in milliseconds, or null when it has no exp claim
+const getExpiry = (claims) => (claims?.exp ? claims.exp * 1000 : null);
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [sessionMessage, setSessionMessage] = useState(null);
+  const [tokenClaims, setTokenClaims] = useState(null);
+  
+  // Last screen the user was on, and where to send them back after re-login
+  const lastRouteRef = useRef(null);
+  const returnRouteRef = useRef(null);
+  const isExpiringRef = useRef(false);
+  
+  // Long-lived refresh token, kept out of state since nothing renders it
+  const refreshTokenRef = useRef(null);
 
   // Initialize auth state on app load
   useEffect(() => {
@@ -28,13 +85,41 @@ export const AuthProvider = ({ children }) => {
         // Load token and user from AsyncStorage
         const storedToken = await AsyncStorage.getItem('authToken');
         const storedUser = await AsyncStorage.getItem('user');
+        const storedRefreshToken = await AsyncStorage.getItem('refreshToken');
         
         if (storedToken && storedUser) {
-          setToken(storedToken);
+          refreshTokenRef.current = storedRefreshToken;
+          
+          let activeToken = storedToken;
+          let claims = decodeToken(storedToken);
+          let expiry = getExpiry(claims);
+          
+          // An expired access token can still be renewed with the refresh token
+          if (expiry && expiry <= Date.now() && storedRefreshToken) {
+            console.log('Stored token expired, trying refresh');
+            const refreshed = await requestNewTokens();
+            
+            if (refreshed) {
+              activeToken = refreshed;
+              claims = decodeToken(refreshed);
+              expiry = getExpiry(claims);
+            }
+          }
+          
+          // Refuse a stored token that has already expired
+          if (expiry && expiry <= Date.now()) {
+            console.log('Stored token expired at:', new Date(expiry).toISOString());
+            await clearStoredSession();
+            setSessionMessage(SESSION_EXPIRED_MESSAGE);
+            return;
+          }
+          
+          setTokenClaims(claims);
+          setToken(activeToken);
           setUser(JSON.parse(storedUser));
           
           // Set authorization header for all future requests
-          axios.defaults.headers.common['Authorization'] = `Bearer ${storedToken}`;
+          setAuthToken(activeToken);
         }
       } catch (error) {
         console.error('Failed to load auth state:', error);
@@ -46,12 +131,133 @@ export const AuthProvider = ({ children }) => {
     loadStoredAuthState();
   }, []);
 
+  // Exchange the refresh token for a new access token and persist both.
+  // Only touches storage and the API client so it can run before state is restored.
+  const requestNewTokens = async () => {
+    const currentRefreshToken = refreshTokenRef.current;
+    if (!currentRefreshToken) {
+      return null;
+    }
+    
+    console.log('Refreshing access token');
+    const response = await ApiClient.post(`/user/refresh`, {
+      refreshToken: currentRefreshToken
+    }, {
+      skipSessionCheck: true
+    });
+    
+    const { token: newToken, refreshToken: newRefreshToken } = response.data;
+    if (!newToken) {
+      throw new Error('No token received from refresh');
+    }
+    
+    // Servers that rotate refresh tokens send a new one; otherwise keep the current one
+    if (newRefreshToken) {
+      refreshTokenRef.current = newRefreshToken;
+      await AsyncStorage.setItem('refreshToken', newRefreshToken);
+    }
+    
+    await AsyncStorage.setItem('authToken', newToken);
+    setAuthToken(newToken);
+    
+    return newToken;
+  };
+
+  // Refresh handler used by the API client when a request is rejected
+  const refreshSession = async () => {
+    const newToken = await requestNewTokens();
+    
+    if (newToken) {
+      setToken(newToken);
+      setTokenClaims(decodeToken(newToken));
+    }
+    
+    return newToken;
+  };
+
+  // Remove every persisted piece of the session
+  const clearStoredSession = async () => {
+    refreshTokenRef.current = null;
+    await AsyncStorage.removeItem('authToken');
+    await AsyncStorage.removeItem('refreshToken');
+    await AsyncStorage.removeItem('user');
+  };
+
+  // End the session and remember where the user was so they can come back to it
+  const expireSession = async () => {
+    if (!token || isExpiringRef.current) return;
+    isExpiringRef.current = true;
+    
+    console.log('Session expired, logging out');
+    returnRouteRef.current = lastRouteRef.current
+      ? { ...lastRouteRef.current, userId: user?.id }
+      : null;
+    
+    try {
+      await logout(SESSION_EXPIRED_MESSAGE);
+    } finally {
+      isExpiringRef.current = false;
+    }
+  };
+
+  // Log out automatically when the API client reports a rejected session
+  useEffect(() => {
+    setSessionExpiredHandler(expireSession);
+    
+    return () => setSessionExpiredHandler(null);
+  }, [token, user]);
+
+  // Let the API client renew the access token and replay rejected requests
+  useEffect(() => {
+    setTokenRefreshHandler(refreshSession);
+    
+    return () => setTokenRefreshHandler(null);
+  }, []);
+
+  const expiresAt = getExpiry(tokenClaims);
+
+  // Shortly before the token expires, renew it silently when a refresh token is
+  // available; otherwise warn the user, then end the session at expiry
+  useEffect(() => {
+    if (!token || !expiresAt) return;
+    
+    const timers = [];
+    const timeLeft = expiresAt - Date.now();
+    const warningDelay = timeLeft - EXPIRY_WARNING_MS;
+    
+    if (warningDelay > 0 && warningDelay <= MAX_TIMER_DELAY_MS) {
+      timers.push(setTimeout(async () => {
+        if (refreshTokenRef.current && await refreshAccessToken()) {
+          return;
+        }
+        
+        const minutes = Math.max(1, Math.round((expiresAt - Date.now()) / 60000));
+        Alert.alert(
+          'Session Expiring',
+          `Your session will expire in ${minutes} minute${minutes === 1 ? '' : 's'}. Save your work and log in again to continue.`
+        );
+      }, warningDelay));
+    }
+    
+    if (timeLeft <= MAX_TIMER_DELAY_MS) {
+      timers.push(setTimeout(async () => {
+        if (refreshTokenRef.current && await refreshAccessToken()) {
+          return;
+        }
+        
+        expireSession();
+      }, Math.max(0, timeLeft)));
+    }
+    
+    return () => timers.forEach(clearTimeout);
+  }, [token, expiresAt]);
+
   // Register a new user
   const register = async (name, email, password) => {
     setError(null);
     try {
       // Note: The backend expects "name", not "username"
-      const response = await axios.post(`${API_URL}/user/new`, {
+      const response = await ApiClient.post(`/user/new`, {
         name,
         email,
         password
@@ -72,30 +278,34 @@ export const AuthProvider = ({ children }) => {
       console.log('Attempting login to:', `${API_URL}/user/login`);
       console.log('With credentials:', { email, password: '***' });
       
-      const response = await axios.post(`${API_URL}/user/login`, {
+      const response = await ApiClient.post(`/user/login`, {
         email,
         password
+      }, {
+        // A 401 here means bad credentials, not an expired session
+        skipSessionCheck: true
       });
       
       console.log('Login response status:', response.status);
-      console.log('Login response data:', response.data);
       
-      // The backend only returns a token, not user data
-      const { token: receivedToken } = response.data;
+      // The backend returns an access token (plus a refresh token when supported), not user data
+      const { token: receivedToken, refreshToken: receivedRefreshToken } = response.data;
+      // Only whether the tokens came back - never the tokens themselves
+      console.log('Login tokens received:', {
+        token: receivedToken ? 'Token exists' : 'No token',
+        refreshToken: receivedRefreshToken ? 'Token exists' : 'No token'
+      });
       
       if (!receivedToken) {
         throw new Error('No token received from server');
       }
       
-      // Store token in state
-      setToken(receivedToken);
-      
       // Set authorization header for all future requests
-      axios.defaults.headers.common['Authorization'] = `Bearer ${receivedToken}`;
+      setAuthToken(receivedToken);
       console.log('Set Authorization header for future requests');
       
       // Get user profile data
-      const profileResponse = await axios.get(`${API_URL}/user/monprofil`, {
+      const profileResponse = await ApiClient.get(`/user/monprofil`, {
         headers: {
           'Authorization': `Bearer ${receivedToken}`
         }
@@ -106,13 +316,25 @@ export const AuthProvider = ({ children }) => {
       
       console.log('User profile data:', userData);
       
-      // Set user data
+      // Store token and user data in state together so screens never see
+      // an authenticated session without its user
+      setToken(receivedToken);
+      setTokenClaims(decodeToken(receivedToken));
       setUser(userData);
+      setSessionMessage(null);
       
       // Store in AsyncStorage for persistence
       await AsyncStorage.setItem('authToken', receivedToken);
       await AsyncStorage.setItem('user', JSON.stringify(userData));
       
+      // The refresh token is stored separately from the access token
+      refreshTokenRef.current = receivedRefreshToken || null;
+      if (receivedRefreshToken) {
+        await AsyncStorage.setItem('refreshToken', receivedRefreshToken);
+      } else {
+        await AsyncStorage.removeItem('refreshToken');
+      }
+      
       return userData;
     } catch (error) {
       console.error('Login error details:', error.response?.data || error.message);
@@ -121,24 +343,47 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Logout the user
-  const logout = async () => {
+  // Logout the user - reason is shown on the login screen (e.g. session expiry)
+  const logout = async (reason = null) => {
     try {
+      const message = typeof reason === 'string' ? reason : null;
+      setSessionMessage(message);
+      if (!message) {
+        returnRouteRef.current = null;
+      }
+      
       // Clear auth state
       setUser(null);
       setToken(null);
+      setTokenClaims(null);
       
       // Remove from AsyncStorage
-      await AsyncStorage.removeItem('authToken');
-      await AsyncStorage.removeItem('user');
+      await clearStoredSession();
       
       // Clear authorization header
-      delete axios.defaults.headers.common['Authorization'];
+      setAuthToken(null);
     } catch (error) {
       console.error('Logout error:', error);
     }
   };
 
+  // Remember the focused screen so it can be restored after a session expiry
+  const rememberRoute = (route) => {
+    lastRouteRef.current = { name: route.name, params: route.params };
+  };
+
+  // Return (and forget) the screen to reopen after logging back in
+  const consumeReturnRoute = () => {
+    const returnRoute = returnRouteRef.current;
+    returnRouteRef.current = null;
+    
+    if (!returnRoute || returnRoute.userId !== user?.id) {
+      return null;
+    }
+    
+    return { name: returnRoute.name, params: returnRoute.params };
+  };
+
   // Check if user is admin
   const isAdmin = () => {
     return user?.isAdmin === true;
@@ -150,10 +395,10 @@ export const AuthProvider = ({ children }) => {
     try {
       console.log('Getting user profile from:', `${API_URL}/user/monprofil`);
       console.log('Current token:', token ? 'Token exists' : 'No token');
-      console.log('Authorization header:', axios.defaults.headers.common['Authorization'] || 'Not set');
+      console.log('Authorization header:', ApiClient.defaults.headers.common['Authorization'] || 'Not set');
       
       // Explicitly set the Authorization header for this request to ensure it's correct
-      const response = await axios.get(`${API_URL}/user/monprofil`, {
+      const response = await ApiClient.get(`/user/monprofil`, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
@@ -181,7 +426,7 @@ export const AuthProvider = ({ children }) => {
   const getAllUsers = async () => {
     setError(null);
     try {
-      const response = await axios.get(`${API_URL}/user/all`, {
+      const response = await ApiClient.get(`/user/all`, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
@@ -200,11 +445,16 @@ export const AuthProvider = ({ children }) => {
     token,
     isLoading,
     error,
+    sessionMessage,
+    tokenClaims,
+    expiresAt, // milliseconds since epoch, or null if the token has no exp claim
     isAuthenticated: !!token,
     isAdmin: isAdmin(),
     register,
     login,
     logout,
+    rememberRoute,
+    consumeReturnRoute,
     getUserProfile,
     getAllUsers
   };
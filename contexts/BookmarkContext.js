@@ -0,0 +1,60 @@
+// contexts/BookmarkContext.js
+import React, { createContext, useState, useEffect, useContext } from 'react';
+import BookmarkService from '../services/BookmarkService';
+import PostService from '../services/PostService';
+import { useAuth } from './AuthContext';
+
+// Create the bookmarks context
+export const BookmarkContext = createContext();
+
+export const BookmarkProvider = ({ children }) => {
+  const [entries, setEntries] = useState({});
+
+  const { user, token } = useAuth();
+
+  // Keep the bookmarks in state for the UI
+  useEffect(() => {
+    return BookmarkService.subscribe(setEntries);
+  }, []);
+
+  // Load the logged-in user's bookmarks and reconcile them with the server
+  useEffect(() => {
+    const loadBookmarks = async () => {
+      await BookmarkService.setViewer(user?.id ?? null);
+      if (token) {
+        BookmarkService.syncWithServer(token);
+      }
+    };
+
+    loadBookmarks();
+  }, [user?.id, token]);
+
+  const isBookmarked = (postId) => !!entries[String(postId)];
+
+  // Save or unsave a post - saved posts are also cached so they open offline
+  const toggleBookmark = async (post) => {
+    if (isBookmarked(post.id)) {
+      await BookmarkService.remove(post.id, token);
+    } else {
+      await PostService.cachePost(post);
+      await BookmarkService.add(post, token);
+    }
+  };
+
+  // Value object to be provided to consumers
+  const contextValue = {
+    bookmarks: Object.values(entries).sort((a, b) => b.savedAt - a.savedAt),
+    isBookmarked,
+    toggleBookmark,
+    syncBookmarks: () => BookmarkService.syncWithServer(token)
+  };
+
+  return (
+    <BookmarkContext.Provider value={contextValue}>
+      {children}
+    </BookmarkContext.Provider>
+  );
+};
+
+// Custom hook for easy context use
+export const useBookmarks = () => useContext(BookmarkContext);
@@ -0,0 +1,58 @@
+// contexts/FollowContext.js
+import React, { createContext, useState, useEffect, useContext } from 'react';
+import FollowService from '../services/FollowService';
+import { useAuth } from './AuthContext';
+
+// Create the follows context
+export const FollowContext = createContext();
+
+export const FollowProvider = ({ children }) => {
+  const [following, setFollowing] = useState({});
+
+  const { user, token } = useAuth();
+
+  // Keep the followed authors in state for the UI
+  useEffect(() => {
+    return FollowService.subscribe(setFollowing);
+  }, []);
+
+  // Load the logged-in user's follows and reconcile them with the server
+  useEffect(() => {
+    const loadFollows = async () => {
+      await FollowService.setViewer(user?.id ?? null);
+      if (token) {
+        FollowService.syncWithServer(token);
+      }
+    };
+
+    loadFollows();
+  }, [user?.id, token]);
+
+  const isFollowing = (authorId) => !!following[String(authorId)];
+
+  // Follow or unfollow an author ({ id, name })
+  const toggleFollow = async (author) => {
+    if (isFollowing(author.id)) {
+      await FollowService.unfollow(author.id, token);
+    } else {
+      await FollowService.follow(author, token);
+    }
+  };
+
+  // Value object to be provided to consumers
+  const contextValue = {
+    following: Object.values(following).sort((a, b) => b.followedAt - a.followedAt),
+    followingIds: Object.keys(following),
+    isFollowing,
+    toggleFollow
+  };
+
+  return (
+    <FollowContext.Provider value={contextValue}>
+      {children}
+    </FollowContext.Provider>
+  );
+};
+
+// Custom hook for easy context use
+export const useFollows = () => useContext(FollowContext);
@@ -0,0 +1,60 @@
+// contexts/NotificationContext.js
+import React, { createContext, useState, useEffect, useContext } from 'react';
+import { AppState } from 'react-native';
+import NotificationService from '../services/NotificationService';
+import RealtimeService from '../services/RealtimeService';
+import { useAuth } from './AuthContext';
+
+// Create the notifications context
+export const NotificationContext = createContext();
+
+export const NotificationProvider = ({ children }) => {
+  const [notifications, setNotifications] = useState([]);
+
+  const { token } = useAuth();
+
+  // Keep the notifications in state for the UI
+  useEffect(() => {
+    return NotificationService.subscribe(setNotifications);
+  }, []);
+
+  // Receive notifications while logged in, and catch up when the app comes back to the foreground
+  useEffect(() => {
+    if (!token) {
+      NotificationService.clear();
+      return;
+    }
+
+    const stop = NotificationService.start(token);
+    const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') {
+        RealtimeService.reconnectNow();
+        NotificationService.fetchNotifications(token);
+      }
+    });
+
+    return () => {
+      stop();
+      appStateSubscription.remove();
+    };
+  }, [token]);
+
+  // Value object to be provided to consumers
+  const contextValue = {
+    notifications,
+    unreadCount: notifications.filter(item => !item.read).length,
+    isSupported: NotificationService.isSupported(),
+    refresh: () => NotificationService.fetchNotifications(token),
+    markRead: (notificationId) => NotificationService.markRead(notificationId, token),
+    markAllRead: () => NotificationService.markAllRead(token)
+  };
+
+  return (
+    <NotificationContext.Provider value={contextValue}>
+      {children}
+    </NotificationContext.Provider>
+  );
+};
+
+// Custom hook for easy context use
+export const useNotifications = () => useContext(NotificationContext);
@@ -0,0 +1,140 @@
+// contexts/SyncContext.js
+import React, { createContext, useState, useEffect, useContext } from 'react';
+import { Alert, AppState } from 'react-native';
+import NetInfo from '@react-native-community/netinfo';
+import SyncQueue, { SYNC_STATUS } from '../services/SyncQueue';
+import { useAuth } from './AuthContext';
+
+// Create the offline sync context
+export const SyncContext = createContext();
+
+// Human readable labels for queued mutation types
+const ACTION_LABELS = {
+  createPost: 'creation',
+  updatePost: 'edit',
+  updateOwnPost: 'edit',
+  deletePost: 'deletion',
+  deleteOwnPost: 'deletion'
+};
+
+export const SyncProvider = ({ children }) => {
+  const [queueItems, setQueueItems] = useState([]);
+  const [isOnline, setIsOnline] = useState(true);
+
+  const { user, token } = useAuth();
+
+  // Keep the queue contents in state for the UI
+  useEffect(() => {
+    return SyncQueue.subscribe(setQueueItems);
+  }, []);
+
+  // Replay the queue on login, when connectivity returns and when the app comes back to the foreground.
+  // Only the logged-in user's items are shown and sent.
+  useEffect(() => {
+    const userId = token ? user?.id ?? null : null;
+    SyncQueue.setOwner(userId).then(() => {
+      if (userId != null) SyncQueue.flush(token);
+    });
+    if (userId == null) return;
+
+    const unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+      const online = !!state.isConnected && state.isInternetReachable !== false;
+      setIsOnline(online);
+
+      if (online) {
+        SyncQueue.flush(token);
+      }
+    });
+
+    const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') {
+        SyncQueue.flush(token);
+      }
+    });
+
+    return () => {
+      unsubscribeNetInfo();
+      appStateSubscription.remove();
+    };
+  }, [user?.id, token]);
+
+  // Put a failed item back in line and try to send it now
+  const retry = async (itemId) => {
+    await SyncQueue.retry(itemId);
+    await SyncQueue.flush(token);
+  };
+
+  // Send the local version of a conflicting edit anyway, then whatever queued behind it
+  const overwrite = async (itemId) => {
+    await SyncQueue.overwrite(itemId, token);
+    await SyncQueue.flush(token);
+  };
+
+  // Drop a queued item without sending it
+  const discard = async (itemId) => {
+    await SyncQueue.discard(itemId);
+  };
+
+  // Let the user decide what to do with an item that could not be synced
+  const promptSyncIssue = (sync) => {
+    if (!sync) return;
+
+    const action = ACTION_LABELS[sync.type] || 'change';
+
+    if (sync.status === SYNC_STATUS.CONFLICT) {
+      Alert.alert(
+        'Sync Conflict',
+        `${sync.error}. Keep your version or discard your ${action}?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Discard Mine', style: 'destructive', onPress: () => discard(sync.itemId) },
+          { text: 'Keep Mine', onPress: () => overwrite(sync.itemId) }
+        ]
+      );
+      return;
+    }
+
+    if (sync.status === SYNC_STATUS.FAILED) {
+      Alert.alert(
+        'Sync Failed',
+        `Your ${action} could not be saved: ${sync.error || 'Unknown error'}`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Discard', style: 'destructive', onPress: () => discard(sync.itemId) },
+          { text: 'Retry', onPress: () => retry(sync.itemId) }
+        ]
+      );
+      return;
+    }
+
+    Alert.alert(
+      'Pending Sync',
+      `This ${action} will be sent when you're back online.`,
+      [
+        { text: 'OK', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: () => discard(sync.itemId) }
+      ]
+    );
+  };
+
+  // Value object to be provided to consumers
+  const contextValue = {
+    queueItems,
+    isOnline,
+    pendingCount: queueItems.length,
+    retry,
+    overwrite,
+    discard,
+    promptSyncIssue,
+    flush: () => SyncQueue.flush(token)
+  };
+
+  return (
+    <SyncContext.Provider value={contextValue}>
+      {children}
+    </SyncContext.Provider>
+  );
+};
+
+// Custom hook for easy context use
+export const useSync = () => useContext(SyncContext);
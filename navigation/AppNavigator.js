@@ -1,9 +1,12 @@
 // navigation/AppNavigator.js
 import React, { useEffect, useState } from 'react';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
-import { ActivityIndicator, View, StyleSheet, TouchableOpacity, Image } from 'react-native';
+import { ActivityIndicator, View, Text, StyleSheet, TouchableOpacity, Image } from 'react-native';
 import { Feather } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Linking from 'expo-linking';
+import DeepLinks from '../services/DeepLinks';
+import UndoSnackbar from '../components/UndoSnackbar';
 
 // Import screens
 import LoginScreen from '../screens/LoginScreen';
@@ -12,10 +15,18 @@ import PostsScreen from '../screens/PostsScreen';
 import PostDetailScreen from '../screens/PostDetailScreen';
 import CreateEditPostScreen from '../screens/CreateEditPostScreen';
 import UserProfileScreen from '../screens/UserProfileScreen';
+import AuthorProfileScreen from '../screens/AuthorProfileScreen';
 import UsersListScreen from '../screens/UsersListScreen';
+import SavedPostsScreen from '../screens/SavedPostsScreen';
+import DraftsScreen from '../screens/DraftsScreen';
+import ManageTagsScreen from '../screens/ManageTagsScreen';
+import PostHistoryScreen from '../screens/PostHistoryScreen';
+import TrashScreen from '../screens/TrashScreen';
+import NotificationsScreen from '../screens/NotificationsScreen';
 
 // Import context
 import { useAuth } from '../contexts/AuthContext';
+import { useNotifications } from '../contexts/NotificationContext';
 
 // Create stack navigators
 const AuthStack = createNativeStackNavigator();
@@ -24,6 +35,7 @@ const AppStack = createNativeStackNavigator();
 // Custom header component
 const CustomHeader = ({ navigation, title, showBackButton = true, showMenu = true }) => {
   const { user, isAdmin } = useAuth();
+  const { unreadCount } = useNotifications();
   
   return (
     <View style={styles.headerContainer}>
@@ -52,6 +64,44 @@ const CustomHeader = ({ navigation, title, showBackButton = true, showMenu = tru
             </TouchableOpacity>
           )}
           
+          {isAdmin && (
+            <TouchableOpacity 
+              style={styles.menuButton}
+              onPress={() => navigation.navigate('ManageTags')}
+            >
+              <Feather name="tag" size={24} color="#fff" />
+            </TouchableOpacity>
+          )}
+          
+          {isAdmin && (
+            <TouchableOpacity 
+              style={styles.menuButton}
+              onPress={() => navigation.navigate('Trash')}
+            >
+              <Feather name="trash" size={24} color="#fff" />
+            </TouchableOpacity>
+          )}
+          
+          <TouchableOpacity 
+            style={styles.menuButton}
+            onPress={() => navigation.navigate('Notifications')}
+            accessibilityLabel={unreadCount > 0 ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+          >
+            <Feather name="bell" size={24} color="#fff" />
+            {unreadCount > 0 && (
+              <View style={styles.badge}>
+                <Text style={styles.badgeText}>{unreadCount > 99 ? '99+' : unreadCount}</Text>
+              </View>
+            )}
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={styles.menuButton}
+            onPress={() => navigation.navigate('SavedPosts')}
+          >
+            <Feather name="bookmark" size={24} color="#fff" />
+          </TouchableOpacity>
+          
           <TouchableOpacity 
             style={styles.menuButton}
             onPress={() => navigation.navigate('UserProfile')}
@@ -80,8 +130,23 @@ const AuthNavigator = () => {
 
 // Main application navigation stack
 const MainNavigator = () => {
+  const { rememberRoute, consumeReturnRoute } = useAuth();
+  
   return (
+    <View style={styles.mainContainer}>
     <AppStack.Navigator
+      screenListeners={({ navigation, route }) => ({
+        focus: () => {
+          // After logging back in from an expired session, reopen the previous screen
+          const returnRoute = consumeReturnRoute();
+          if (returnRoute && returnRoute.name !== route.name) {
+            navigation.navigate(returnRoute.name, returnRoute.params);
+            return;
+          }
+          
+          rememberRoute(route);
+        },
+      })}
       screenOptions={({ navigation, route }) => ({
         header: (props) => (
           <CustomHeader 
@@ -129,6 +194,55 @@ const MainNavigator = () => {
           title: 'My Profile'
         }}
       />
+      <AppStack.Screen 
+        name="AuthorProfile" 
+        component={AuthorProfileScreen}
+        options={{
+          title: 'Profile'
+        }}
+      />
+      <AppStack.Screen 
+        name="Notifications" 
+        component={NotificationsScreen}
+        options={{
+          title: 'Notifications'
+        }}
+      />
+      <AppStack.Screen 
+        name="SavedPosts" 
+        component={SavedPostsScreen}
+        options={{
+          title: 'Saved'
+        }}
+      />
+      <AppStack.Screen 
+        name="Drafts" 
+        component={DraftsScreen}
+        options={{
+          title: 'Drafts'
+        }}
+      />
+      <AppStack.Screen 
+        name="PostHistory" 
+        component={PostHistoryScreen}
+        options={{
+          title: 'History'
+        }}
+      />
+      <AppStack.Screen 
+        name="ManageTags" 
+        component={ManageTagsScreen}
+        options={{
+          title: 'Manage Tags'
+        }}
+      />
+      <AppStack.Screen 
+        name="Trash" 
+        component={TrashScreen}
+        options={{
+          title: 'Trash'
+        }}
+      />
       <AppStack.Screen 
         name="UsersList" 
         component={UsersListScreen}
@@ -137,6 +251,8 @@ const MainNavigator = () => {
         }}
       />
     </AppStack.Navigator>
+    <UndoSnackbar />
+    </View>
   );
 };
 
@@ -144,6 +260,18 @@ const MainNavigator = () => {
 const AppNavigator = () => {
   const { isAuthenticated, isLoading } = useAuth();
   
+  // Links opening the app (or followed while it runs) - the main stack opens them
+  // once the user is logged in. This is not a React Navigation `linking` config:
+  // Expo Router owns the NavigationContainer and builds its linking from app/, where
+  // everything resolves to the one route rendering this navigator (app/+native-intent.js),
+  // and the linked screens only exist after login, so DeepLinks holds the route until then.
+  const url = Linking.useURL();
+  useEffect(() => {
+    if (url) {
+      DeepLinks.handleUrl(url);
+    }
+  }, [url]);
+  
   if (isLoading) {
     return (
       <View style={styles.loadingContainer}>
@@ -157,6 +285,9 @@ const AppNavigator = () => {
 };
 
 const styles = StyleSheet.create({
+  mainContainer: {
+    flex: 1,
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -186,6 +317,23 @@ const styles = StyleSheet.create({
   menuButton: {
     marginLeft: 16,
   },
+  badge: {
+    position: 'absolute',
+    top: -6,
+    right: -8,
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    paddingHorizontal: 4,
+    backgroundColor: 'white',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  badgeText: {
+    fontSize: 11,
+    fontWeight: 'bold',
+    color: '#FF6B6B',
+  },
 });
 
 export default AppNavigator;
\ No newline at end of file
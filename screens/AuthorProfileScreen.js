@@ -0,0 +1,285 @@
+// screens/AuthorProfileScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  FlatList
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { useAuth } from '../contexts/AuthContext';
+import UserService, { toPublicProfile } from '../services/UserService';
+import { stripMarkdown } from '../services/MarkdownParser';
+import ProfileHeader from '../components/ProfileHeader';
+import FollowButton from '../components/FollowButton';
+import FollowService from '../services/FollowService';
+import OptimisticPosts, { applyOptimisticChanges } from '../services/OptimisticPosts';
+
+// Public profile of a post author - their details and posts, a page at a time
+export default function AuthorProfileScreen({ route, navigation }) {
+  const { userId, name } = route.params;
+
+  const [profile, setProfile] = useState(null);
+  const [posts, setPosts] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [totalPosts, setTotalPosts] = useState(null);
+  const [followCounts, setFollowCounts] = useState({ followers: null, following: null });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [optimisticEntries, setOptimisticEntries] = useState([]);
+
+  const { user, isAdmin } = useAuth();
+  const isSelf = user && String(user.id) === String(userId);
+
+  // Edits and deletes made elsewhere show up here too (new posts only belong to the feed)
+  const displayedPosts = applyOptimisticChanges(
+    posts,
+    optimisticEntries.filter(entry => entry.type !== 'create')
+  );
+
+  const fetchAuthor = async () => {
+    setIsLoading(true);
+    try {
+      const [authorProfile, firstPage] = await Promise.all([
+        UserService.getProfile(userId),
+        UserService.getPostsPage(userId, { page: 1 })
+      ]);
+
+      setProfile(toPublicProfile(authorProfile, { includePrivate: isAdmin || isSelf }));
+      FollowService.getCounts(userId, authorProfile).then(setFollowCounts);
+      setPosts(firstPage.posts);
+      setPage(1);
+      setHasMore(firstPage.hasMore);
+      setTotalPosts(firstPage.total);
+      setError(null);
+    } catch (error) {
+      setError(error.response?.status === 404 ? 'This user could not be found' : 'Failed to load profile');
+      console.error('Error fetching author profile:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadMorePosts = async () => {
+    if (!hasMore || isLoadingMore) return;
+
+    setIsLoadingMore(true);
+    try {
+      const nextPage = await UserService.getPostsPage(userId, { page: page + 1 });
+      setPosts(current => {
+        const knownIds = new Set(current.map(post => String(post.id)));
+        return [...current, ...nextPage.posts.filter(post => !knownIds.has(String(post.id)))];
+      });
+      setPage(nextPage.page);
+      setHasMore(nextPage.hasMore);
+    } catch (error) {
+      console.error('Error loading more author posts:', error);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  // The follower count moves with the viewer's own follow button
+  const handleFollowToggle = (isNowFollowing) => {
+    setFollowCounts(current => (
+      current.followers === null
+        ? current
+        : { ...current, followers: Math.max(0, current.followers + (isNowFollowing ? 1 : -1)) }
+    ));
+  };
+
+  useEffect(() => {
+    fetchAuthor();
+  }, [userId]);
+
+  useEffect(() => {
+    return OptimisticPosts.subscribe((entries) => setOptimisticEntries(entries));
+  }, []);
+
+  if (isLoading) {
+    return (
+      <View style={styles.centerContainer}>
+        <ActivityIndicator size="large" color="#FF6B6B" />
+        <Text style={styles.loadingText}>Loading profile...</Text>
+      </View>
+    );
+  }
+
+  if (error) {
+    return (
+      <View style={styles.centerContainer}>
+        <Feather name="alert-circle" size={50} color="#FF6B6B" />
+        <Text style={styles.errorText}>{error}</Text>
+        <TouchableOpacity style={styles.retryButton} onPress={fetchAuthor}>
+          <Text style={styles.retryButtonText}>Retry</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const postCount = profile.postCount ?? totalPosts ?? (hasMore ? `${posts.length}+` : posts.length);
+  const authorName = profile.name || name;
+
+  return (
+    <FlatList
+      style={styles.container}
+      data={displayedPosts}
+      keyExtractor={(item) => item.id.toString()}
+      ListHeaderComponent={
+        <>
+          <ProfileHeader
+            name={authorName}
+            avatarUrl={profile.avatarUrl}
+            subtitle={profile.email}
+            stats={[
+              { label: 'Posts', value: postCount },
+              { label: 'Followers', value: followCounts.followers ?? 'N/A' },
+              { label: 'Following', value: followCounts.following ?? 'N/A' },
+              { label: 'Joined', value: profile.createdAt ? new Date(profile.createdAt).toLocaleDateString() : 'N/A' }
+            ]}
+          >
+            {!isSelf && (
+              <FollowButton
+                author={{ id: profile.id ?? userId, name: authorName }}
+                onToggle={handleFollowToggle}
+                style={styles.followButton}
+              />
+            )}
+          </ProfileHeader>
+          <Text style={styles.sectionTitle}>
+            {isSelf ? 'My Posts' : `Posts by ${authorName || 'this user'}`}
+          </Text>
+        </>
+      }
+      ListEmptyComponent={
+        <View style={styles.emptyPostsContainer}>
+          <Feather name="file-text" size={50} color="#ccc" />
+          <Text style={styles.emptyPostsText}>No posts yet</Text>
+        </View>
+      }
+      renderItem={({ item }) => (
+        <TouchableOpacity
+          style={[styles.postItem, item._optimistic && styles.optimisticPostItem]}
+          onPress={() => navigation.navigate('PostDetail', { postId: item.id })}
+        >
+          <View style={styles.postItemHeader}>
+            <Text style={styles.postItemTitle} numberOfLines={1}>
+              {item.title}
+            </Text>
+            <Text style={styles.postItemDate}>
+              {new Date(item.createdAt).toLocaleDateString()}
+            </Text>
+          </View>
+          <Text style={styles.postItemExcerpt} numberOfLines={2}>
+            {stripMarkdown(item.content)}
+          </Text>
+        </TouchableOpacity>
+      )}
+      onEndReached={loadMorePosts}
+      onEndReachedThreshold={0.5}
+      ListFooterComponent={isLoadingMore ? (
+        <View style={styles.listFooter}>
+          <ActivityIndicator size="small" color="#FF6B6B" />
+        </View>
+      ) : null}
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: '#666',
+  },
+  errorText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: '#e74c3c',
+    textAlign: 'center',
+  },
+  retryButton: {
+    marginTop: 20,
+    backgroundColor: '#FF6B6B',
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+  },
+  retryButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  followButton: {
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  sectionTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 16,
+    marginBottom: 12,
+    marginHorizontal: 16,
+  },
+  emptyPostsContainer: {
+    alignItems: 'center',
+    padding: 30,
+  },
+  emptyPostsText: {
+    fontSize: 16,
+    color: '#666',
+    marginTop: 16,
+    textAlign: 'center',
+  },
+  postItem: {
+    backgroundColor: 'white',
+    padding: 16,
+    borderRadius: 8,
+    marginBottom: 12,
+    marginHorizontal: 16,
+    borderLeftWidth: 3,
+    borderLeftColor: '#FF6B6B',
+  },
+  optimisticPostItem: {
+    opacity: 0.6,
+  },
+  postItemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  postItemTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+  },
+  postItemDate: {
+    fontSize: 12,
+    color: '#999',
+  },
+  postItemExcerpt: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+  },
+  listFooter: {
+    paddingVertical: 16,
+    alignItems: 'center',
+  },
+});
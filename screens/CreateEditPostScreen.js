@@ -1,5 +1,5 @@
 // screens/CreateEditPostScreen.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -10,11 +10,34 @@ import {
   Alert,
   ScrollView,
   KeyboardAvoidingView,
-  Platform
+  Platform,
+  AppState
 } from 'react-native';
 import { Feather } from '@expo/vector-icons';
 import { useAuth } from '../contexts/AuthContext';
 import PostService from '../services/PostService';
+import DraftService from '../services/DraftService';
+import MarkdownView from '../components/MarkdownView';
+import FormattingToolbar from '../components/FormattingToolbar';
+import AttachmentEditor from '../components/AttachmentEditor';
+import TagInput from '../components/TagInput';
+import { getPostTags } from '../services/TagService';
+import RevisionService from '../services/RevisionService';
+import OptimisticPosts from '../services/OptimisticPosts';
+import { getPostImages, hasPendingUploads } from '../services/ImageService';
+import {
+  EDITOR_LIMITS,
+  applyFormat,
+  countWords,
+  estimateReadingMinutes
+} from '../services/EditorTools';
+
+// Autosave the draft this long after the last keystroke
+const DRAFT_SAVE_DELAY_MS = 800;
+
+// Typing after a pause this long starts a new undo step
+const UNDO_GROUP_MS = 1000;
+const MAX_UNDO_STEPS = 100;
 
 export default function CreateEditPostScreen({ route, navigation }) {
   // Check if we're editing an existing post
@@ -27,30 +50,233 @@ export default function CreateEditPostScreen({ route, navigation }) {
   const [isLoading, setIsLoading] = useState(false);
   const [isFetchingPost, setIsFetchingPost] = useState(isEditing);
   const [error, setError] = useState(null);
+  const [baseUpdatedAt, setBaseUpdatedAt] = useState(null);
+  const [isDraftReady, setIsDraftReady] = useState(false);
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [forcedSelection, setForcedSelection] = useState(null);
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const [attachments, setAttachments] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [uploadFailed, setUploadFailed] = useState(false);
   
   const { user, token, isAdmin } = useAuth();
   
-  // If editing, fetch the post data
-  useEffect(() => {
-    if (isEditing && postId) {
-      const fetchPostDetails = async () => {
-        try {
-          const response = await PostService.getPostById(postId);
-          console.log('Post details for editing:', response);
-          setTitle(response.title);
-          setContent(response.content);
-        } catch (error) {
-          setError('Failed to load post details');
-          Alert.alert('Error', 'Could not load post data');
-        } finally {
-          setIsFetchingPost(false);
-        }
-      };
+  // What the post looked like when the editor opened, and the text being typed,
+  // readable from the AppState and navigation listeners
+  const baselineRef = useRef({ title: '', content: '' });
+  const latestRef = useRef({ title: '', content: '' });
+  latestRef.current = { title, content };
+  const isSubmittedRef = useRef(false);
+  const selectionRef = useRef({ start: 0, end: 0 });
+  const lastEditAtRef = useRef(0);
+  // The post as loaded, kept as the previous version for the revision history
+  const loadedPostRef = useRef(null);
+  // Number of images the post had when loaded - removing them all still has to be sent
+  const originalImageCountRef = useRef(0);
+  
+  // Fill the form from the post being edited - resolves to its title and content
+  const fetchPostDetails = async () => {
+    try {
+      const response = await PostService.getPostById(postId);
+      console.log('Post details for editing:', response);
+      setTitle(response.title);
+      setContent(response.content);
+      setBaseUpdatedAt(response.updatedAt || null);
+      setAttachments(getPostImages(response));
+      setTags(getPostTags(response));
+      loadedPostRef.current = response;
+      originalImageCountRef.current = getPostImages(response).length;
+      return { title: response.title, content: response.content };
+    } catch (error) {
+      // Offline - edit the cached copy, the change will be queued
+      const cached = await PostService.getCachedPost(postId);
+      if (cached) {
+        setTitle(cached.data.title);
+        setContent(cached.data.content);
+        setBaseUpdatedAt(cached.data.updatedAt || null);
+        setAttachments(getPostImages(cached.data));
+        setTags(getPostTags(cached.data));
+        loadedPostRef.current = cached.data;
+        originalImageCountRef.current = getPostImages(cached.data).length;
+        return { title: cached.data.title, content: cached.data.content };
+      }
       
-      fetchPostDetails();
+      setError('Failed to load post details');
+      Alert.alert('Error', 'Could not load post data');
+      return null;
+    } finally {
+      setIsFetchingPost(false);
+    }
+  };
+  
+  // Offer to bring back text that was never published
+  const offerDraftRestore = async (baseline) => {
+    const draft = await DraftService.getDraft(user.id, postId);
+    const isDifferent = draft && (draft.title !== baseline.title || draft.content !== baseline.content);
+    
+    if (!isDifferent) {
+      setIsDraftReady(true);
+      return;
+    }
+    
+    const restore = () => {
+      setTitle(draft.title);
+      setContent(draft.content);
+      setDraftSavedAt(draft.updatedAt);
+      setIsDraftReady(true);
+    };
+    
+    // Opened from the Drafts list - the user already chose to resume
+    if (route.params?.restoreDraft) {
+      restore();
+      return;
     }
+    
+    Alert.alert(
+      'Restore Draft?',
+      `You have unsaved changes from ${new Date(draft.updatedAt).toLocaleString()}.`,
+      [
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: async () => {
+            await DraftService.deleteDraft(user.id, postId);
+            setIsDraftReady(true);
+          }
+        },
+        { text: 'Restore', onPress: restore }
+      ],
+      { cancelable: false }
+    );
+  };
+  
+  // Load the post (when editing), then check for a draft
+  useEffect(() => {
+    const initialize = async () => {
+      let baseline = { title: '', content: '' };
+      
+      if (isEditing && postId) {
+        const loaded = await fetchPostDetails();
+        if (!loaded) return;
+        baseline = loaded;
+      }
+      
+      baselineRef.current = baseline;
+      await offerDraftRestore(baseline);
+    };
+    
+    initialize();
   }, [isEditing, postId]);
   
+  // Save the current text as a draft, or drop the draft if nothing changed
+  const saveDraftNow = async () => {
+    if (isSubmittedRef.current) return;
+    
+    const { title: currentTitle, content: currentContent } = latestRef.current;
+    const baseline = baselineRef.current;
+    
+    if (currentTitle === baseline.title && currentContent === baseline.content) {
+      await DraftService.deleteDraft(user.id, postId);
+      setDraftSavedAt(null);
+      return;
+    }
+    
+    const draft = await DraftService.saveDraft(user.id, postId, {
+      title: currentTitle,
+      content: currentContent,
+      isOwnPost: isEditing ? !!isOwnPost : true
+    });
+    setDraftSavedAt(draft.updatedAt);
+  };
+  
+  // Autosave while typing
+  useEffect(() => {
+    if (!isDraftReady) return;
+    
+    const timeout = setTimeout(saveDraftNow, DRAFT_SAVE_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [title, content, isDraftReady]);
+  
+  // Save right away when the app goes to the background or the user leaves the screen
+  useEffect(() => {
+    if (!isDraftReady) return;
+    
+    const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState !== 'active') {
+        saveDraftNow();
+      }
+    });
+    const unsubscribeBeforeRemove = navigation.addListener('beforeRemove', () => {
+      saveDraftNow();
+    });
+    
+    return () => {
+      appStateSubscription.remove();
+      unsubscribeBeforeRemove();
+    };
+  }, [navigation, isDraftReady]);
+  
+  // Change the content, recording an undo step for toolbar actions, pauses and word boundaries
+  const updateContent = (nextContent, { checkpoint = false } = {}) => {
+    const now = Date.now();
+    const startsNewStep = checkpoint ||
+      now - lastEditAtRef.current > UNDO_GROUP_MS ||
+      /\s$/.test(nextContent) !== /\s$/.test(content);
+    
+    if (startsNewStep && nextContent !== content) {
+      setHistory(({ past }) => ({
+        past: [...past, content].slice(-MAX_UNDO_STEPS),
+        future: []
+      }));
+    }
+    
+    lastEditAtRef.current = now;
+    setContent(nextContent);
+  };
+  
+  const handleUndo = () => {
+    if (history.past.length === 0) return;
+    
+    const previous = history.past[history.past.length - 1];
+    setHistory({
+      past: history.past.slice(0, -1),
+      future: [content, ...history.future]
+    });
+    lastEditAtRef.current = 0;
+    setContent(previous);
+  };
+  
+  const handleRedo = () => {
+    if (history.future.length === 0) return;
+    
+    const [next, ...future] = history.future;
+    setHistory({
+      past: [...history.past, content],
+      future
+    });
+    lastEditAtRef.current = 0;
+    setContent(next);
+  };
+  
+  // Toolbar action on the current selection
+  const handleFormat = (format) => {
+    const result = applyFormat(content, selectionRef.current, format);
+    if (result.text.length > EDITOR_LIMITS.maxContentLength) {
+      Alert.alert('Too Long', `Posts are limited to ${EDITOR_LIMITS.maxContentLength} characters.`);
+      return;
+    }
+    
+    updateContent(result.text, { checkpoint: true });
+    selectionRef.current = result.selection;
+    setForcedSelection(result.selection);
+  };
+  
+  const wordCount = countWords(content);
+  const readingMinutes = estimateReadingMinutes(wordCount);
+  const isNearContentLimit = content.length > EDITOR_LIMITS.maxContentLength * 0.9;
+  
   const handleSubmit = async () => {
     // Validate inputs
     if (!title.trim()) {
@@ -63,40 +289,106 @@ export default function CreateEditPostScreen({ route, navigation }) {
       return;
     }
     
-    setIsLoading(true);
+    if (title.length > EDITOR_LIMITS.maxTitleLength || content.length > EDITOR_LIMITS.maxContentLength) {
+      Alert.alert(
+        'Error',
+        `Titles are limited to ${EDITOR_LIMITS.maxTitleLength} characters and posts to ${EDITOR_LIMITS.maxContentLength}`
+      );
+      return;
+    }
     
-    try {
-      const postData = { title, content };
-      
-      if (isEditing) {
-        // Update existing post
-        console.log('Updating post:', postId);
-        console.log('Is admin:', isAdmin, 'Is own post:', isOwnPost);
-        
-        if (isAdmin && !isOwnPost) {
-          await PostService.updatePost(postId, postData, token);
-        } else {
-          await PostService.updateOwnPost(postId, postData, token);
-        }
-        
-        Alert.alert('Success', 'Post updated successfully');
-      } else {
-        // Create new post
+    const postData = { title, content, tags };
+    // Posts without images keep using a plain JSON body
+    if (attachments.length > 0 || originalImageCountRef.current > 0) {
+      postData.attachments = attachments;
+    }
+    const isUploading = hasPendingUploads(postData);
+    const uploadOptions = isUploading ? { onUploadProgress: setUploadProgress } : {};
+    
+    // What the feed, profile and detail screens show until the server answers
+    const imageChanges = postData.attachments ? { images: postData.attachments } : {};
+    const mutation = isEditing
+      ? { type: 'update', postId, changes: { title, content, tags, ...imageChanges } }
+      : {
+          type: 'create',
+          post: {
+            title,
+            content,
+            tags,
+            ...imageChanges,
+            userId: user.id,
+            User: { id: user.id, name: user.name },
+            createdAt: new Date().toISOString()
+          }
+        };
+    
+    // Queued edits record their revision with this editor when they are replayed
+    const editor = { id: user.id, name: user.name };
+    
+    const sendRequest = () => {
+      if (!isEditing) {
         console.log('Creating new post');
-        await PostService.createPost(postData, token);
-        Alert.alert('Success', 'Post created successfully');
+        return PostService.createPost(postData, token, uploadOptions);
+      }
+      
+      console.log('Updating post:', postId);
+      console.log('Is admin:', isAdmin, 'Is own post:', isOwnPost);
+      const updateOptions = { baseUpdatedAt, editor, ...uploadOptions };
+      return isAdmin && !isOwnPost
+        ? PostService.updatePost(postId, postData, token, updateOptions)
+        : PostService.updateOwnPost(postId, postData, token, updateOptions);
+    };
+    
+    // Published (or queued for sync) - the draft is no longer needed
+    const handleSaved = async (result) => {
+      await DraftService.deleteDraft(user.id, postId);
+      
+      if (isEditing && !result?.queued) {
+        await RevisionService.recordUpdate(loadedPostRef.current, { title, content, tags }, editor);
       }
       
-      // Navigate back after successful operation
-      navigation.goBack();
+      if (result?.queued) {
+        Alert.alert('Saved Offline', 'Your post will be synced when you are back online');
+      }
+    };
+    
+    // Uploads keep the editor open so progress and retry stay visible
+    if (isUploading) {
+      setIsLoading(true);
+      setUploadFailed(false);
+      setUploadProgress(0);
+      
+      try {
+        const result = await OptimisticPosts.run({ ...mutation, request: sendRequest });
+        isSubmittedRef.current = true;
+        await handleSaved(result);
+        navigation.goBack();
+      } catch (error) {
+        console.error('Post operation error:', error.response?.data || error.message);
+        setUploadFailed(true);
+      } finally {
+        setIsLoading(false);
+        setUploadProgress(null);
+      }
+      return;
+    }
+    
+    // Everything else shows up right away - the draft is kept until the server confirms
+    await saveDraftNow();
+    isSubmittedRef.current = true;
+    navigation.goBack();
+    
+    try {
+      const result = await OptimisticPosts.run({ ...mutation, request: sendRequest });
+      await handleSaved(result);
     } catch (error) {
       console.error('Post operation error:', error.response?.data || error.message);
       Alert.alert(
-        'Error',
-        isEditing ? 'Failed to update post' : 'Failed to create post'
+        isEditing ? 'Update Failed' : 'Post Not Published',
+        `${error.response?.data?.message || error.message}. ` +
+        (isEditing ? 'The post has been put back as it was. ' : 'The post has been removed from the feed. ') +
+        'Your text is kept in Drafts.'
       );
-    } finally {
-      setIsLoading(false);
     }
   };
   
@@ -116,38 +408,122 @@ export default function CreateEditPostScreen({ route, navigation }) {
       behavior={Platform.OS === 'ios' ? 'padding' : null}
       keyboardVerticalOffset={Platform.OS === 'ios' ? 64 : 0}
     >
-      <ScrollView style={styles.scrollContainer}>
+      <ScrollView style={styles.scrollContainer} keyboardShouldPersistTaps="handled">
         <View style={styles.header}>
           <Text style={styles.headerTitle}>
             {isEditing ? 'Edit Post' : 'Create New Post'}
           </Text>
+          {draftSavedAt && (
+            <Text style={styles.draftStatus}>
+              Draft saved at {new Date(draftSavedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            </Text>
+          )}
         </View>
         
         <View style={styles.formContainer}>
           <View style={styles.inputContainer}>
-            <Text style={styles.inputLabel}>Title</Text>
+            <View style={styles.contentLabelRow}>
+              <Text style={styles.inputLabel}>Title</Text>
+              <Text style={styles.counterText}>
+                {title.length}/{EDITOR_LIMITS.maxTitleLength}
+              </Text>
+            </View>
             <TextInput
               style={styles.titleInput}
               value={title}
               onChangeText={setTitle}
               placeholder="Enter post title"
               placeholderTextColor="#999"
+              maxLength={EDITOR_LIMITS.maxTitleLength}
             />
           </View>
           
+          <TagInput tags={tags} onChange={setTags} disabled={isLoading} />
+          
           <View style={styles.inputContainer}>
-            <Text style={styles.inputLabel}>Content</Text>
-            <TextInput
-              style={styles.contentInput}
-              value={content}
-              onChangeText={setContent}
-              placeholder="Write your post content here..."
-              placeholderTextColor="#999"
-              multiline
-              textAlignVertical="top"
-            />
+            <View style={styles.contentLabelRow}>
+              <Text style={styles.inputLabel}>Content</Text>
+              <View style={styles.modeToggle}>
+                <TouchableOpacity
+                  style={[styles.modeButton, !isPreviewing && styles.modeButtonActive]}
+                  onPress={() => setIsPreviewing(false)}
+                >
+                  <Text style={[styles.modeButtonText, !isPreviewing && styles.modeButtonTextActive]}>Edit</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.modeButton, isPreviewing && styles.modeButtonActive]}
+                  onPress={() => setIsPreviewing(true)}
+                >
+                  <Text style={[styles.modeButtonText, isPreviewing && styles.modeButtonTextActive]}>Preview</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+            
+            {isPreviewing ? (
+              <View style={styles.previewContainer}>
+                {content.trim() ? (
+                  <MarkdownView content={content} />
+                ) : (
+                  <Text style={styles.previewEmpty}>Nothing to preview yet</Text>
+                )}
+              </View>
+            ) : (
+              <>
+                <FormattingToolbar
+                  onFormat={handleFormat}
+                  onUndo={handleUndo}
+                  onRedo={handleRedo}
+                  canUndo={history.past.length > 0}
+                  canRedo={history.future.length > 0}
+                />
+                <TextInput
+                  style={[styles.contentInput, styles.contentInputWithToolbar]}
+                  value={content}
+                  onChangeText={updateContent}
+                  selection={forcedSelection || undefined}
+                  onSelectionChange={({ nativeEvent }) => {
+                    selectionRef.current = nativeEvent.selection;
+                    setForcedSelection(null);
+                  }}
+                  placeholder="Write your post content here..."
+                  placeholderTextColor="#999"
+                  maxLength={EDITOR_LIMITS.maxContentLength}
+                  multiline
+                  textAlignVertical="top"
+                />
+                <Text style={styles.markdownHint}>
+                  Markdown supported: # heading, **bold**, *italic*, [link](https://...), - list, &gt; quote, ``` code
+                </Text>
+              </>
+            )}
+            
+            <View style={styles.statsRow}>
+              <Text style={styles.counterText}>
+                {wordCount} {wordCount === 1 ? 'word' : 'words'} • {readingMinutes} min read
+              </Text>
+              <Text style={[styles.counterText, isNearContentLimit && styles.counterWarning]}>
+                {content.length}/{EDITOR_LIMITS.maxContentLength}
+              </Text>
+            </View>
           </View>
           
+          <AttachmentEditor
+            attachments={attachments}
+            onChange={setAttachments}
+            disabled={isLoading}
+            uploadProgress={uploadProgress}
+          />
+          
+          {uploadFailed && (
+            <View style={styles.uploadErrorContainer}>
+              <Feather name="alert-circle" size={16} color="#e74c3c" />
+              <Text style={styles.uploadErrorText}>The upload did not finish.</Text>
+              <TouchableOpacity style={styles.retryButton} onPress={handleSubmit}>
+                <Text style={styles.retryButtonText}>Retry</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+          
           <View style={styles.buttonContainer}>
             <TouchableOpacity
               style={styles.cancelButton}
@@ -200,6 +576,11 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#333',
   },
+  draftStatus: {
+    marginTop: 4,
+    fontSize: 12,
+    color: '#999',
+  },
   loadingText: {
     marginTop: 10,
     fontSize: 16,
@@ -233,6 +614,91 @@ const styles = StyleSheet.create({
     padding: 12,
     fontSize: 16,
   },
+  contentLabelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  modeToggle: {
+    flexDirection: 'row',
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    padding: 2,
+  },
+  modeButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderRadius: 6,
+  },
+  modeButtonActive: {
+    backgroundColor: '#FF6B6B',
+  },
+  modeButtonText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  modeButtonTextActive: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  uploadErrorContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff0f0',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 20,
+  },
+  uploadErrorText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#e74c3c',
+  },
+  retryButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 6,
+    backgroundColor: '#e74c3c',
+  },
+  retryButtonText: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  contentInputWithToolbar: {
+    borderTopLeftRadius: 0,
+    borderTopRightRadius: 0,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  counterText: {
+    fontSize: 12,
+    color: '#999',
+  },
+  counterWarning: {
+    color: '#e74c3c',
+    fontWeight: '600',
+  },
+  previewContainer: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    minHeight: 200,
+  },
+  previewEmpty: {
+    fontSize: 16,
+    color: '#999',
+  },
+  markdownHint: {
+    marginTop: 6,
+    fontSize: 12,
+    color: '#999',
+  },
   contentInput: {
     backgroundColor: '#f8f9fa',
     borderWidth: 1,
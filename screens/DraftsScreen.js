@@ -0,0 +1,225 @@
+// screens/DraftsScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  Alert
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { useAuth } from '../contexts/AuthContext';
+import DraftService from '../services/DraftService';
+import { stripMarkdown } from '../services/MarkdownParser';
+
+export default function DraftsScreen({ navigation }) {
+  const [drafts, setDrafts] = useState([]);
+
+  const { user } = useAuth();
+
+  const loadDrafts = async () => {
+    const userDrafts = await DraftService.getDrafts(user.id);
+    setDrafts(userDrafts);
+  };
+
+  // Reload whenever the screen comes back into view - the editor may have changed a draft
+  useEffect(() => {
+    const unsubscribe = navigation.addListener('focus', loadDrafts);
+    return unsubscribe;
+  }, [navigation]);
+
+  // Open the editor with the draft restored
+  const openDraft = (draft) => {
+    if (draft.postId) {
+      navigation.navigate('EditPost', {
+        postId: draft.postId,
+        isOwnPost: draft.isOwnPost,
+        restoreDraft: true
+      });
+    } else {
+      navigation.navigate('NewPost', { restoreDraft: true });
+    }
+  };
+
+  const handleDiscard = (draft) => {
+    Alert.alert(
+      'Discard Draft',
+      'This draft will be deleted. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: async () => {
+            await DraftService.deleteDraft(user.id, draft.postId);
+            loadDrafts();
+          }
+        }
+      ]
+    );
+  };
+
+  if (drafts.length === 0) {
+    return (
+      <View style={styles.emptyContainer}>
+        <Feather name="file-text" size={60} color="#ccc" />
+        <Text style={styles.emptyText}>No drafts</Text>
+        <Text style={styles.emptyHint}>Unpublished changes are saved here automatically while you write.</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Drafts</Text>
+        <Text style={styles.countText}>{drafts.length}</Text>
+      </View>
+
+      <FlatList
+        data={drafts}
+        keyExtractor={(item) => item.key}
+        renderItem={({ item }) => (
+          <TouchableOpacity
+            style={styles.draftCard}
+            onPress={() => openDraft(item)}
+          >
+            <View style={styles.draftHeader}>
+              <Text style={styles.draftTitle} numberOfLines={1}>
+                {item.title.trim() || 'Untitled'}
+              </Text>
+              <TouchableOpacity
+                style={styles.discardButton}
+                onPress={() => handleDiscard(item)}
+                accessibilityLabel="Discard draft"
+              >
+                <Feather name="trash-2" size={16} color="#e74c3c" />
+              </TouchableOpacity>
+            </View>
+
+            {!!item.content.trim() && (
+              <Text style={styles.draftExcerpt} numberOfLines={2}>
+                {stripMarkdown(item.content)}
+              </Text>
+            )}
+
+            <View style={styles.draftFooter}>
+              <View style={styles.kindContainer}>
+                <Feather name={item.postId ? 'edit-2' : 'plus'} size={12} color="#666" />
+                <Text style={styles.kindText}>
+                  {item.postId ? 'Edit to a published post' : 'New post'}
+                </Text>
+              </View>
+
+              <Text style={styles.dateText}>
+                {new Date(item.updatedAt).toLocaleString()}
+              </Text>
+            </View>
+          </TouchableOpacity>
+        )}
+        contentContainerStyle={styles.draftsList}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  countText: {
+    fontSize: 16,
+    color: '#999',
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: '#f8f9fa',
+  },
+  emptyText: {
+    fontSize: 18,
+    color: '#666',
+    marginTop: 10,
+    marginBottom: 8,
+  },
+  emptyHint: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+  },
+  draftsList: {
+    padding: 16,
+    paddingBottom: 24,
+  },
+  draftCard: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  draftHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: 8,
+  },
+  draftTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+    marginRight: 10,
+  },
+  discardButton: {
+    padding: 4,
+  },
+  draftExcerpt: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  draftFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 8,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+  },
+  kindContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  kindText: {
+    fontSize: 12,
+    color: '#666',
+    marginLeft: 5,
+  },
+  dateText: {
+    fontSize: 12,
+    color: '#999',
+  },
+});
@@ -10,14 +10,16 @@ import {
   Alert,
   Image
 } from 'react-native';
+import { Feather } from '@expo/vector-icons';
 import { useAuth } from '../contexts/AuthContext';
+import DeepLinks from '../services/DeepLinks';
 
 export default function LoginScreen({ navigation }) {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   
-  const { login } = useAuth();
+  const { login, sessionMessage } = useAuth();
   
   const handleLogin = async () => {
     // Simple validation
@@ -53,6 +55,20 @@ export default function LoginScreen({ navigation }) {
         <Text style={styles.subtitle}>Sign in to your account</Text>
       </View>
       
+      {sessionMessage && (
+        <View style={styles.sessionBanner}>
+          <Feather name="clock" size={18} color="#b9770e" />
+          <Text style={styles.sessionBannerText}>{sessionMessage}</Text>
+        </View>
+      )}
+      
+      {!sessionMessage && DeepLinks.hasPendingLink() && (
+        <View style={styles.sessionBanner}>
+          <Feather name="link" size={18} color="#b9770e" />
+          <Text style={styles.sessionBannerText}>Log in to open the link you followed</Text>
+        </View>
+      )}
+      
       <View style={styles.formContainer}>
         <View style={styles.inputContainer}>
           <Text style={styles.inputLabel}>Email</Text>
@@ -125,6 +141,22 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#666',
   },
+  sessionBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fef5e7',
+    borderWidth: 1,
+    borderColor: '#f8c471',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+  sessionBannerText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#7e5109',
+  },
   formContainer: {
     backgroundColor: 'white',
     borderRadius: 12,
@@ -0,0 +1,355 @@
+// screens/ManageTagsScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Modal,
+  TextInput
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { useAuth } from '../contexts/AuthContext';
+import TagService, { normalizeTag } from '../services/TagService';
+
+// Admin screen to rename tags and merge duplicates
+export default function ManageTagsScreen() {
+  const [tags, setTags] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [selected, setSelected] = useState([]);
+  // { mode: 'rename' | 'merge', sources: [names] } while the name dialog is open
+  const [dialog, setDialog] = useState(null);
+  const [targetName, setTargetName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const { token, isAdmin } = useAuth();
+
+  const fetchTags = async () => {
+    try {
+      const allTags = await TagService.getAllTags();
+      setTags(allTags);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTags();
+  }, []);
+
+  const toggleSelected = (name) => {
+    setSelected(current => (
+      current.includes(name) ? current.filter(item => item !== name) : [...current, name]
+    ));
+  };
+
+  const openDialog = (mode, sources) => {
+    setDialog({ mode, sources });
+    setTargetName(sources[0]);
+  };
+
+  const handleSave = async () => {
+    const target = normalizeTag(targetName);
+    if (!target) {
+      Alert.alert('Error', 'Please enter a tag name');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      if (dialog.mode === 'rename') {
+        await TagService.renameTag(dialog.sources[0], target, token);
+      } else {
+        await TagService.mergeTags(dialog.sources, target, token);
+      }
+
+      setDialog(null);
+      setSelected([]);
+      await fetchTags();
+    } catch (error) {
+      Alert.alert(
+        'Error',
+        error.response?.data?.message || (dialog.mode === 'rename' ? 'Failed to rename tag' : 'Failed to merge tags')
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!isAdmin) {
+    return (
+      <View style={styles.centerContainer}>
+        <Feather name="lock" size={50} color="#ccc" />
+        <Text style={styles.emptyText}>Only admins can manage tags</Text>
+      </View>
+    );
+  }
+
+  if (isLoading) {
+    return (
+      <View style={styles.centerContainer}>
+        <ActivityIndicator size="large" color="#FF6B6B" />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Tags</Text>
+        <Text style={styles.hint}>Select tags to merge them, or rename one</Text>
+      </View>
+
+      <FlatList
+        data={tags}
+        keyExtractor={(item) => item.name}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={<Text style={styles.emptyText}>No tags yet</Text>}
+        renderItem={({ item }) => {
+          const isSelected = selected.includes(item.name);
+          return (
+            <TouchableOpacity
+              style={[styles.tagRow, isSelected && styles.tagRowSelected]}
+              onPress={() => toggleSelected(item.name)}
+            >
+              <Feather
+                name={isSelected ? 'check-square' : 'square'}
+                size={18}
+                color={isSelected ? '#FF6B6B' : '#999'}
+              />
+              <Text style={styles.tagName}>#{item.name}</Text>
+              <Text style={styles.tagCount}>{item.count} {item.count === 1 ? 'post' : 'posts'}</Text>
+              <TouchableOpacity
+                style={styles.renameButton}
+                onPress={() => openDialog('rename', [item.name])}
+                accessibilityLabel={`Rename tag ${item.name}`}
+              >
+                <Feather name="edit-2" size={16} color="#666" />
+              </TouchableOpacity>
+            </TouchableOpacity>
+          );
+        }}
+      />
+
+      {selected.length >= 2 && (
+        <View style={styles.mergeBar}>
+          <Text style={styles.mergeText}>{selected.length} tags selected</Text>
+          <TouchableOpacity style={styles.mergeButton} onPress={() => openDialog('merge', selected)}>
+            <Feather name="git-merge" size={16} color="white" />
+            <Text style={styles.mergeButtonText}>Merge</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <Modal
+        visible={!!dialog}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setDialog(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>
+              {dialog?.mode === 'rename' ? `Rename #${dialog.sources[0]}` : 'Merge tags'}
+            </Text>
+            {dialog?.mode === 'merge' && (
+              <Text style={styles.modalHint}>
+                {dialog.sources.map(name => `#${name}`).join(', ')} will become one tag
+              </Text>
+            )}
+
+            <TextInput
+              style={styles.modalInput}
+              value={targetName}
+              onChangeText={setTargetName}
+              placeholder="New tag name"
+              placeholderTextColor="#999"
+              autoCapitalize="none"
+              autoCorrect={false}
+              autoFocus
+            />
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={styles.cancelButton}
+                onPress={() => setDialog(null)}
+                disabled={isSaving}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.saveButton}
+                onPress={handleSave}
+                disabled={isSaving}
+              >
+                {isSaving ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text style={styles.saveButtonText}>
+                    {dialog?.mode === 'rename' ? 'Rename' : 'Merge'}
+                  </Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  header: {
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  hint: {
+    marginTop: 4,
+    fontSize: 14,
+    color: '#999',
+  },
+  list: {
+    paddingHorizontal: 16,
+    paddingBottom: 100,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    marginTop: 10,
+    textAlign: 'center',
+  },
+  tagRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 14,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: 'transparent',
+  },
+  tagRowSelected: {
+    borderColor: '#FF6B6B',
+  },
+  tagName: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 16,
+    color: '#333',
+    fontWeight: '500',
+  },
+  tagCount: {
+    fontSize: 13,
+    color: '#999',
+    marginRight: 8,
+  },
+  renameButton: {
+    padding: 4,
+  },
+  mergeBar: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#333',
+    borderRadius: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+  },
+  mergeText: {
+    color: 'white',
+    fontSize: 14,
+  },
+  mergeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FF6B6B',
+    borderRadius: 6,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  mergeButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  modalContent: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  modalHint: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  modalInput: {
+    backgroundColor: '#f8f9fa',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginTop: 8,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 20,
+  },
+  cancelButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    marginRight: 8,
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  saveButton: {
+    backgroundColor: '#FF6B6B',
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    minWidth: 90,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    fontSize: 16,
+    color: 'white',
+    fontWeight: '600',
+  },
+});
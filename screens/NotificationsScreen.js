@@ -0,0 +1,220 @@
+// screens/NotificationsScreen.js
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  RefreshControl,
+  Alert
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { useNotifications } from '../contexts/NotificationContext';
+
+// Icon for each kind of notification
+const TYPE_ICONS = {
+  reaction: 'heart',
+  comment: 'message-circle',
+  edit: 'edit-2'
+};
+
+// "5m ago" style times for recent notifications, the date for older ones
+const formatTime = (value) => {
+  if (!value) return '';
+  const minutes = Math.floor((Date.now() - new Date(value).getTime()) / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(value).toLocaleDateString();
+};
+
+export default function NotificationsScreen({ navigation }) {
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  const { notifications, unreadCount, isSupported, refresh, markRead, markAllRead } = useNotifications();
+
+  const handleRefresh = async () => {
+    setIsRefreshing(true);
+    await refresh();
+    setIsRefreshing(false);
+  };
+
+  // Open the related post - marking the notification read doesn't hold up the navigation
+  const openNotification = (item) => {
+    markRead(item.id).catch(() => {});
+    if (item.postId != null) {
+      navigation.navigate('PostDetail', { postId: item.postId });
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllRead();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to mark notifications as read');
+    }
+  };
+
+  if (!isSupported) {
+    return (
+      <View style={styles.centerContainer}>
+        <Feather name="bell-off" size={50} color="#ccc" />
+        <Text style={styles.emptyText}>Notifications are not available on this server</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Notifications</Text>
+        {unreadCount > 0 && (
+          <TouchableOpacity onPress={handleMarkAllRead}>
+            <Text style={styles.markAllText}>Mark all as read</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <FlatList
+        data={notifications}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={styles.list}
+        refreshControl={
+          <RefreshControl
+            refreshing={isRefreshing}
+            onRefresh={handleRefresh}
+            colors={['#FF6B6B']}
+          />
+        }
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Feather name="bell" size={50} color="#ccc" />
+            <Text style={styles.emptyText}>No notifications yet</Text>
+          </View>
+        }
+        renderItem={({ item }) => (
+          <TouchableOpacity
+            style={[styles.notificationRow, !item.read && styles.unreadRow]}
+            onPress={() => openNotification(item)}
+          >
+            <View style={styles.iconContainer}>
+              <Feather name={TYPE_ICONS[item.type] || 'bell'} size={18} color="#FF6B6B" />
+            </View>
+
+            <View style={styles.notificationBody}>
+              <Text style={styles.notificationText}>
+                <Text style={styles.actorName}>{item.actor?.name || 'Someone'}</Text>
+                {` ${item.message}`}
+                {item.postTitle ? <Text style={styles.postTitle}>{` "${item.postTitle}"`}</Text> : null}
+              </Text>
+              <Text style={styles.timeText}>{formatTime(item.createdAt)}</Text>
+            </View>
+
+            {!item.read && (
+              <TouchableOpacity
+                style={styles.readButton}
+                onPress={() => markRead(item.id).catch(() => {})}
+                accessibilityLabel="Mark as read"
+              >
+                <View style={styles.unreadDot} />
+              </TouchableOpacity>
+            )}
+          </TouchableOpacity>
+        )}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  markAllText: {
+    fontSize: 14,
+    color: '#FF6B6B',
+    fontWeight: '600',
+  },
+  list: {
+    paddingHorizontal: 16,
+    paddingBottom: 20,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    marginTop: 60,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    marginTop: 10,
+    textAlign: 'center',
+  },
+  notificationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 14,
+    marginBottom: 8,
+  },
+  unreadRow: {
+    backgroundColor: '#fff5f5',
+  },
+  iconContainer: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#fff0f0',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  notificationBody: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  notificationText: {
+    fontSize: 15,
+    color: '#333',
+    lineHeight: 20,
+  },
+  actorName: {
+    fontWeight: 'bold',
+  },
+  postTitle: {
+    color: '#666',
+  },
+  timeText: {
+    marginTop: 4,
+    fontSize: 12,
+    color: '#999',
+  },
+  readButton: {
+    padding: 8,
+  },
+  unreadDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#FF6B6B',
+  },
+});
@@ -12,70 +12,142 @@ import {
 import { Feather } from '@expo/vector-icons';
 import { useAuth } from '../contexts/AuthContext';
 import PostService from '../services/PostService';
+import { findPendingMutation } from '../services/SyncQueue';
+import { useSync } from '../contexts/SyncContext';
+import SyncBadge from '../components/SyncBadge';
+import CommentSection from '../components/CommentSection';
+import ReactionBar from '../components/ReactionBar';
+import BookmarkButton from '../components/BookmarkButton';
+import BookmarkService from '../services/BookmarkService';
+import MarkdownView from '../components/MarkdownView';
+import ImageGallery from '../components/ImageGallery';
+import { getPostImages } from '../services/ImageService';
+import TagChips from '../components/TagChips';
+import { getPostTags } from '../services/TagService';
+import DeepLinks from '../services/DeepLinks';
+import OptimisticPosts, { applyOptimisticChanges, mergeSettledChange, UNDO_DELETE_MS } from '../services/OptimisticPosts';
 
 export default function PostDetailScreen({ route, navigation }) {
   const { postId } = route.params;
-  const [post, setPost] = useState(null);
+  const [serverPost, setPost] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [cachedAt, setCachedAt] = useState(null);
+  const [optimisticEntries, setOptimisticEntries] = useState([]);
   
   const { user, token, isAuthenticated, isAdmin } = useAuth();
+  const { queueItems } = useSync();
   
-  // Fetch post details
-  const fetchPostDetails = async () => {
-    setIsLoading(true);
+  // The post with edits that are still on their way to the server
+  const post = serverPost
+    ? applyOptimisticChanges([serverPost], optimisticEntries)[0] || serverPost
+    : null;
+  
+  // Follow edits made from other screens and keep the server's answer
+  useEffect(() => {
+    return OptimisticPosts.subscribe((entries, event) => {
+      setOptimisticEntries(entries.filter(entry => String(entry.postId) === String(postId)));
+      if (event?.status === 'settled' && String(event.postId) === String(postId) && event.type === 'update') {
+        setPost(current => (current ? mergeSettledChange([current], event)[0] : current));
+      }
+    });
+  }, [postId]);
+  
+  // Queued offline change for this post, if any
+  const pendingMutation = findPendingMutation(queueItems, postId);
+  
+  // Fetch post details - keeps showing the cached copy while revalidating
+  const fetchPostDetails = async (hasCachedPost = false) => {
+    if (!hasCachedPost) {
+      setIsLoading(true);
+    }
+    
     try {
       const response = await PostService.getPostById(postId);
       console.log('Post details received:', response);
       setPost(response);
+      BookmarkService.updateSnapshot(response);
+      setCachedAt(null);
       setError(null);
     } catch (error) {
-      setError('Failed to load post details. Please try again.');
       console.error('Error fetching post details:', error);
+      
+      // Fall back to the last saved copy when the network call fails
+      const cached = await PostService.getCachedPost(postId);
+      if (cached) {
+        setPost(cached.data);
+        setCachedAt(cached.savedAt);
+        setError(null);
+      } else {
+        setError('Failed to load post details. Please try again.');
+      }
     } finally {
       setIsLoading(false);
     }
   };
   
-  // Load post on initial render
+  // Load post on initial render - cached copy first, then revalidate
   useEffect(() => {
-    fetchPostDetails();
+    const loadInitialPost = async () => {
+      const cached = await PostService.getCachedPost(postId);
+      if (cached) {
+        setPost(cached.data);
+        setIsLoading(false);
+      }
+      
+      fetchPostDetails(!!cached);
+    };
+    
+    loadInitialPost();
   }, [postId]);
   
   // Handle delete post
   const handleDeletePost = async () => {
-    Alert.alert(
-      'Confirm Delete',
-      'Are you sure you want to delete this post?',
-      [
-        { text: 'Cancel', style: 'cancel' },
-        {
-          text: 'Delete',
-          style: 'destructive',
-          onPress: async () => {
-            try {
-              const isOwnPost = post.userId === user.id;
-              console.log('Deleting post. Post userId:', post.userId, 'Current user id:', user.id, 'Is own post:', isOwnPost);
-              
-              if (isAdmin) {
-                await PostService.deletePost(postId, token);
-              } else if (isOwnPost) {
-                await PostService.deleteOwnPost(postId, token);
-              } else {
-                Alert.alert('Error', 'You can only delete your own posts');
-                return;
-              }
-              
-              Alert.alert('Success', 'Post deleted successfully');
-              navigation.goBack();
-            } catch (error) {
-              console.error('Error deleting post:', error.response?.data || error.message);
-              Alert.alert('Error', 'Failed to delete post: ' + (error.response?.data?.message || error.message));
-            }
-          }
-        }
-      ]
-    );
+    const isOwnPost = post.userId === user.id;
+    console.log('Deleting post. Post userId:', post.userId, 'Current user id:', user.id, 'Is own post:', isOwnPost);
+    
+    if (!isAdmin && !isOwnPost) {
+      Alert.alert('Error', 'You can only delete your own posts');
+      return;
+    }
+    
+    // Leave right away - the feed shows an undo snackbar before the request is sent
+    navigation.goBack();
+    try {
+      const result = await OptimisticPosts.run({
+        type: 'delete',
+        postId,
+        label: post.title,
+        undoDelay: UNDO_DELETE_MS,
+        request: () => (isAdmin
+          ? PostService.deletePost(postId, token)
+          : PostService.deleteOwnPost(postId, token))
+      });
+      
+      if (result?.queued) {
+        Alert.alert('Offline', 'The post will be deleted when you are back online');
+      }
+    } catch (error) {
+      console.error('Error deleting post:', error.response?.data || error.message);
+      Alert.alert(
+        'Delete Failed',
+        `"${post.title}" could not be deleted and has been restored. ` +
+        (error.response?.data?.message || error.message)
+      );
+    }
+  };
+  
+  // Share a link that opens this post in the app (or on the web)
+  const handleShare = async () => {
+    try {
+      const outcome = await DeepLinks.sharePost(post);
+      if (outcome === 'copied') {
+        Alert.alert('Link Copied', 'The link to this post is in your clipboard');
+      }
+    } catch (error) {
+      console.error('Error sharing post:', error);
+      Alert.alert('Error', 'Failed to share this post');
+    }
   };
   
   // Determine if the user can edit or delete a post
@@ -107,7 +179,7 @@ export default function PostDetailScreen({ route, navigation }) {
         <Text style={styles.errorText}>{error}</Text>
         <TouchableOpacity 
           style={styles.retryButton}
-          onPress={fetchPostDetails}
+          onPress={() => fetchPostDetails()}
         >
           <Text style={styles.retryButtonText}>Retry</Text>
         </TouchableOpacity>
@@ -132,7 +204,7 @@ export default function PostDetailScreen({ route, navigation }) {
   }
   
   return (
-    <ScrollView style={styles.container}>
+    <ScrollView style={styles.container} keyboardShouldPersistTaps="handled">
       <View style={styles.header}>
         <TouchableOpacity 
           style={styles.backButton}
@@ -141,8 +213,28 @@ export default function PostDetailScreen({ route, navigation }) {
           <Feather name="arrow-left" size={24} color="#333" />
         </TouchableOpacity>
         
-        {canEditPost() && (
-          <View style={styles.actionButtons}>
+        <View style={styles.actionButtons}>
+          <BookmarkButton post={post} size={22} />
+          
+          <TouchableOpacity
+            style={styles.iconButton}
+            onPress={handleShare}
+            accessibilityLabel="Share post"
+          >
+            <Feather name="share-2" size={22} color="#666" />
+          </TouchableOpacity>
+          
+          {canEditPost() && (
+            <TouchableOpacity
+              style={styles.iconButton}
+              onPress={() => navigation.navigate('PostHistory', { postId: post.id })}
+              accessibilityLabel="Post history"
+            >
+              <Feather name="clock" size={22} color="#666" />
+            </TouchableOpacity>
+          )}
+          
+          {canEditPost() && (
             <TouchableOpacity
               style={[styles.actionButton, styles.editButton]}
               onPress={() => navigation.navigate('EditPost', { 
@@ -153,30 +245,60 @@ export default function PostDetailScreen({ route, navigation }) {
               <Feather name="edit-2" size={16} color="white" />
               <Text style={styles.actionButtonText}>Edit</Text>
             </TouchableOpacity>
-            
-            {canDeletePost() && (
-              <TouchableOpacity
-                style={[styles.actionButton, styles.deleteButton]}
-                onPress={handleDeletePost}
-              >
-                <Feather name="trash-2" size={16} color="white" />
-                <Text style={styles.actionButtonText}>Delete</Text>
-              </TouchableOpacity>
-            )}
-          </View>
-        )}
+          )}
+          
+          {canDeletePost() && (
+            <TouchableOpacity
+              style={[styles.actionButton, styles.deleteButton]}
+              onPress={handleDeletePost}
+            >
+              <Feather name="trash-2" size={16} color="white" />
+              <Text style={styles.actionButtonText}>Delete</Text>
+            </TouchableOpacity>
+          )}
+        </View>
       </View>
       
+      {cachedAt && (
+        <View style={styles.cacheBanner}>
+          <Feather name="cloud-off" size={16} color="#7f8c8d" />
+          <Text style={styles.cacheBannerText}>
+            Showing cached data from {new Date(cachedAt).toLocaleString()}
+          </Text>
+        </View>
+      )}
+      
       <View style={styles.postContainer}>
-        <Text style={styles.postTitle}>{post.title}</Text>
+        {pendingMutation && (
+          <SyncBadge
+            sync={{
+              itemId: pendingMutation.id,
+              type: pendingMutation.type,
+              status: pendingMutation.status,
+              error: pendingMutation.error
+            }}
+          />
+        )}
+        <Text style={styles.postTitle}>{pendingMutation?.postData?.title || post.title}</Text>
+        
+        <TagChips
+          tags={pendingMutation?.postData?.tags || getPostTags(post)}
+          onPressTag={(tag) => navigation.popTo('Posts', { tag })}
+          style={styles.tags}
+        />
         
         <View style={styles.metaInfo}>
-          <View style={styles.authorInfo}>
+          <TouchableOpacity
+            style={styles.authorInfo}
+            onPress={() => navigation.navigate('AuthorProfile', { userId: post.userId, name: post.User?.name })}
+            disabled={post.userId == null}
+            accessibilityLabel={post.User ? `View ${post.User.name}'s profile` : undefined}
+          >
             <Feather name="user" size={14} color="#666" />
             <Text style={styles.authorText}>
               {post.User ? post.User.name : 'Unknown Author'}
             </Text>
-          </View>
+          </TouchableOpacity>
           
           <Text style={styles.dateText}>
             {new Date(post.createdAt).toLocaleDateString()} • 
@@ -184,10 +306,19 @@ export default function PostDetailScreen({ route, navigation }) {
           </Text>
         </View>
         
+        <ImageGallery
+          images={pendingMutation?.postData?.attachments || getPostImages(post)}
+          style={styles.gallery}
+        />
+        
         <View style={styles.contentContainer}>
-          <Text style={styles.contentText}>{post.content}</Text>
+          <MarkdownView content={pendingMutation?.postData?.content || post.content} />
         </View>
+        
+        <ReactionBar post={post} style={styles.reactions} />
       </View>
+      
+      <CommentSection postId={post.id} />
     </ScrollView>
   );
 }
@@ -218,6 +349,10 @@ const styles = StyleSheet.create({
   },
   actionButtons: {
     flexDirection: 'row',
+    alignItems: 'center',
+  },
+  iconButton: {
+    padding: 6,
   },
   actionButton: {
     flexDirection: 'row',
@@ -260,6 +395,21 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: 'bold',
   },
+  cacheBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ecf0f1',
+    marginHorizontal: 16,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+  },
+  cacheBannerText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginLeft: 8,
+  },
   postContainer: {
     padding: 16,
   },
@@ -291,6 +441,12 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#999',
   },
+  tags: {
+    marginBottom: 10,
+  },
+  gallery: {
+    marginBottom: 16,
+  },
   contentContainer: {
     backgroundColor: 'white',
     borderRadius: 12,
@@ -301,9 +457,7 @@ const styles = StyleSheet.create({
     shadowRadius: 2,
     elevation: 1,
   },
-  contentText: {
-    fontSize: 16,
-    lineHeight: 24,
-    color: '#333',
+  reactions: {
+    marginTop: 16,
   },
 });
\ No newline at end of file
@@ -0,0 +1,390 @@
+// screens/PostHistoryScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { useAuth } from '../contexts/AuthContext';
+import PostService from '../services/PostService';
+import RevisionService from '../services/RevisionService';
+import OptimisticPosts from '../services/OptimisticPosts';
+import { getPostTags } from '../services/TagService';
+import { diffText, hasChanges } from '../services/TextDiff';
+
+const sameVersion = (a, b) => a.title === b.title && a.content === b.content;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Unknown date');
+
+// Inline diff - removed text struck through in red, added text in green
+function DiffText({ before, after, style }) {
+  const parts = diffText(before, after);
+
+  if (!hasChanges(parts)) {
+    return <Text style={[style, styles.unchangedText]}>No changes</Text>;
+  }
+
+  return (
+    <Text style={style}>
+      {parts.map((part, index) => (
+        <Text
+          key={index}
+          style={part.type === 'added' ? styles.added : part.type === 'removed' ? styles.removed : null}
+        >
+          {part.text}
+        </Text>
+      ))}
+    </Text>
+  );
+}
+
+export default function PostHistoryScreen({ route }) {
+  const { postId } = route.params;
+
+  const [post, setPost] = useState(null);
+  const [versions, setVersions] = useState([]);
+  // Ids of the two versions being compared
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [error, setError] = useState(null);
+
+  const { user, token, isAdmin } = useAuth();
+
+  const fetchHistory = async () => {
+    try {
+      let currentPost;
+      try {
+        currentPost = await PostService.getPostById(postId);
+      } catch (fetchError) {
+        const cached = await PostService.getCachedPost(postId);
+        if (!cached) throw fetchError;
+        currentPost = cached.data;
+      }
+
+      const revisions = await RevisionService.getRevisions(postId, user?.id);
+      const current = {
+        id: 'current',
+        title: currentPost.title,
+        content: currentPost.content,
+        tags: getPostTags(currentPost),
+        editor: null,
+        createdAt: currentPost.updatedAt || currentPost.createdAt
+      };
+
+      // The newest revision is usually the current version itself
+      const allVersions = revisions.length > 0 && sameVersion(revisions[0], current)
+        ? [{ ...revisions[0], isCurrent: true }, ...revisions.slice(1)]
+        : [{ ...current, isCurrent: true }, ...revisions];
+
+      setPost(currentPost);
+      setVersions(allVersions);
+      setSelectedIds(allVersions.length > 1 ? [allVersions[1].id, allVersions[0].id] : []);
+      setError(null);
+    } catch (error) {
+      setError('Failed to load the history of this post');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchHistory();
+  }, [postId]);
+
+  // Keep the last two versions tapped
+  const toggleSelected = (versionId) => {
+    setSelectedIds(current => (
+      current.includes(versionId)
+        ? current.filter(id => id !== versionId)
+        : [...current, versionId].slice(-2)
+    ));
+  };
+
+  const isAuthor = post && user && String(post.userId) === String(user.id);
+  const canRestore = isAuthor || isAdmin;
+
+  const handleRestore = (version) => {
+    Alert.alert(
+      'Restore Version',
+      `Replace the current post with the version from ${formatDate(version.createdAt)}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Restore',
+          onPress: async () => {
+            setIsRestoring(true);
+            try {
+              const fields = { title: version.title, content: version.content, tags: version.tags };
+              const editor = { id: user.id, name: user.name };
+              const options = { baseUpdatedAt: post.updatedAt || null, editor };
+              // Through OptimisticPosts so the feed and detail screens show the restore right away
+              const result = await OptimisticPosts.run({
+                type: 'update',
+                postId,
+                changes: fields,
+                request: () => (isAuthor
+                  ? PostService.updateOwnPost(postId, fields, token, options)
+                  : PostService.updatePost(postId, fields, token, options))
+              });
+
+              if (result?.queued) {
+                Alert.alert('Saved Offline', 'The restore will be synced when you are back online');
+                return;
+              }
+
+              await RevisionService.recordUpdate(post, fields, editor);
+              await fetchHistory();
+              Alert.alert('Success', 'Version restored');
+            } catch (error) {
+              Alert.alert('Error', 'Failed to restore this version');
+            } finally {
+              setIsRestoring(false);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.centerContainer}>
+        <ActivityIndicator size="large" color="#FF6B6B" />
+      </View>
+    );
+  }
+
+  if (error) {
+    return (
+      <View style={styles.centerContainer}>
+        <Feather name="alert-circle" size={50} color="#e74c3c" />
+        <Text style={styles.errorText}>{error}</Text>
+      </View>
+    );
+  }
+
+  // Compare in chronological order whatever the tap order was
+  const [base, target] = versions
+    .filter(version => selectedIds.includes(version.id))
+    .reverse();
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.title}>History</Text>
+      <Text style={styles.hint}>
+        {versions.length > 1 ? 'Select two versions to compare them' : 'This post has not been edited'}
+      </Text>
+
+      {RevisionService.isLocalOnly() && (
+        <View style={styles.localNotice}>
+          <Feather name="info" size={16} color="#666" />
+          <Text style={styles.localNoticeText}>
+            This server keeps no edit history. Only edits made on this device are listed -
+            changes by other people or from other devices are missing.
+          </Text>
+        </View>
+      )}
+
+      {versions.map(version => {
+        const isSelected = selectedIds.includes(version.id);
+        return (
+          <TouchableOpacity
+            key={version.id}
+            style={[styles.versionRow, isSelected && styles.versionRowSelected]}
+            onPress={() => toggleSelected(version.id)}
+            disabled={versions.length < 2}
+          >
+            <Feather
+              name={isSelected ? 'check-circle' : 'circle'}
+              size={18}
+              color={isSelected ? '#FF6B6B' : '#ccc'}
+            />
+            <View style={styles.versionInfo}>
+              <Text style={styles.versionDate}>
+                {formatDate(version.createdAt)}
+                {version.isCurrent ? '  •  Current' : ''}
+              </Text>
+              <Text style={styles.versionEditor}>
+                {version.editor ? `Edited by ${version.editor.name}` : 'Editor unknown'}
+              </Text>
+            </View>
+            {canRestore && !version.isCurrent && (
+              <TouchableOpacity
+                style={styles.restoreButton}
+                onPress={() => handleRestore(version)}
+                disabled={isRestoring}
+              >
+                <Feather name="rotate-ccw" size={14} color="#FF6B6B" />
+                <Text style={styles.restoreText}>Restore</Text>
+              </TouchableOpacity>
+            )}
+          </TouchableOpacity>
+        );
+      })}
+
+      {base && target && (
+        <View style={styles.diffContainer}>
+          <Text style={styles.diffHeading}>
+            {formatDate(base.createdAt)} → {formatDate(target.createdAt)}
+          </Text>
+
+          <Text style={styles.diffLabel}>Title</Text>
+          <DiffText before={base.title} after={target.title} style={styles.diffTitle} />
+
+          <Text style={styles.diffLabel}>Content</Text>
+          <DiffText before={base.content} after={target.content} style={styles.diffContent} />
+
+          {base.tags.join(' ') !== target.tags.join(' ') && (
+            <>
+              <Text style={styles.diffLabel}>Tags</Text>
+              <DiffText
+                before={base.tags.map(tag => `#${tag}`).join(' ')}
+                after={target.tags.map(tag => `#${tag}`).join(' ')}
+                style={styles.diffContent}
+              />
+            </>
+          )}
+        </View>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#e74c3c',
+    marginTop: 10,
+    textAlign: 'center',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  hint: {
+    marginTop: 4,
+    marginBottom: 16,
+    fontSize: 14,
+    color: '#999',
+  },
+  localNotice: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#fff8e1',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+  localNoticeText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 13,
+    color: '#666',
+    lineHeight: 18,
+  },
+  versionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 14,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: 'transparent',
+  },
+  versionRowSelected: {
+    borderColor: '#FF6B6B',
+  },
+  versionInfo: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  versionDate: {
+    fontSize: 15,
+    color: '#333',
+    fontWeight: '500',
+  },
+  versionEditor: {
+    marginTop: 2,
+    fontSize: 13,
+    color: '#666',
+  },
+  restoreButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+    backgroundColor: '#fff0f0',
+  },
+  restoreText: {
+    marginLeft: 4,
+    fontSize: 13,
+    color: '#FF6B6B',
+    fontWeight: '600',
+  },
+  diffContainer: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginTop: 16,
+  },
+  diffHeading: {
+    fontSize: 13,
+    color: '#999',
+    marginBottom: 12,
+  },
+  diffLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  diffTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  diffContent: {
+    fontSize: 15,
+    lineHeight: 22,
+    color: '#333',
+  },
+  unchangedText: {
+    color: '#999',
+    fontStyle: 'italic',
+    fontWeight: 'normal',
+    fontSize: 14,
+  },
+  added: {
+    backgroundColor: '#e6f7ec',
+    color: '#1e8449',
+  },
+  removed: {
+    backgroundColor: '#fdecea',
+    color: '#c0392b',
+    textDecorationLine: 'line-through',
+  },
+});
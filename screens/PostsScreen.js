@@ -1,5 +1,5 @@
 // screens/PostsScreen.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   View,
   Text,
@@ -7,44 +7,571 @@ import {
   StyleSheet,
   TouchableOpacity,
   ActivityIndicator,
-  Alert
+  Alert,
+  TextInput,
+  Image
 } from 'react-native';
 import { Feather } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
 import { useAuth } from '../contexts/AuthContext';
-import PostService from '../services/PostService';
+import PostService, {
+  DEFAULT_PAGE_SIZE,
+  getPostReactionSummary,
+  isReactionSummariesSupported
+} from '../services/PostService';
+import { applyPendingMutations, isPendingPostId } from '../services/SyncQueue';
+import { useSync } from '../contexts/SyncContext';
+import SyncBadge from '../components/SyncBadge';
+import HighlightedText from '../components/HighlightedText';
+import SearchService, { getSearchTerms, buildExcerpt } from '../services/SearchService';
+import FeedPreferences, {
+  FEEDS,
+  DEFAULT_FEED_OPTIONS,
+  applyFeedOptions,
+  matchesFeedOptions,
+  normalizeFeedOptions,
+  toQueryParams,
+  hasActiveFilters
+} from '../services/FeedPreferences';
+import FilterChipBar from '../components/FilterChipBar';
+import FeedFilterModal from '../components/FeedFilterModal';
+import CommentService, { getPostCommentCount } from '../services/CommentService';
+import ReactionBar from '../components/ReactionBar';
+import BookmarkButton from '../components/BookmarkButton';
+import { stripMarkdown } from '../services/MarkdownParser';
+import { getPostImages, resolveImageUrl } from '../services/ImageService';
+import TagChips from '../components/TagChips';
+import { getPostTags } from '../services/TagService';
+import OptimisticPosts, {
+  applyOptimisticChanges,
+  mergeSettledChange,
+  isOptimisticPostId,
+  UNDO_DELETE_MS
+} from '../services/OptimisticPosts';
+import DeepLinks from '../services/DeepLinks';
+import { useFollows } from '../contexts/FollowContext';
+import LiveFeed from '../services/LiveFeed';
 
-export default function PostsScreen({ navigation }) {
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 350;
+
+// Most pages fetched in one go when the feed has to be sorted and filtered on the client
+const MAX_CLIENT_PAGES = 10;
+
+// Put a fresh first page in front of the pages already loaded - only valid for the
+// newest-first order. Posts from the old
+// first page that are missing now and newer than the fresh page's oldest post were
+// deleted; older ones were only pushed down by new posts and are kept.
+const replaceFirstPage = (current, firstPage) => {
+  const freshIds = new Set(firstPage.map(post => String(post.id)));
+  const oldest = firstPage.length > 0
+    ? Math.min(...firstPage.map(post => new Date(post.createdAt).getTime()))
+    : Infinity;
+  
+  const rest = current.filter(post => (
+    !freshIds.has(String(post.id)) && new Date(post.createdAt).getTime() < oldest
+  ));
+  
+  return [...firstPage, ...rest];
+};
+
+// Creation time of the newest post in a list, skipping missing or invalid dates
+const newestCreatedAt = (list) => list.reduce((newest, post) => {
+  const time = new Date(post.createdAt).getTime();
+  return Number.isNaN(time) ? newest : Math.max(newest, time);
+}, 0);
+
+// Posts that only exist on this device so far - queued offline or waiting for the server
+const isUnsyncedPost = (post) => isPendingPostId(post.id) || isOptimisticPostId(post.id);
+
+// Add a newly loaded page, skipping posts already in the list
+const appendPage = (current, page) => {
+  const knownIds = new Set(current.map(post => String(post.id)));
+  return [...current, ...page.filter(post => !knownIds.has(String(post.id)))];
+};
+
+export default function PostsScreen({ navigation, route }) {
   const [posts, setPosts] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [cachedAt, setCachedAt] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+  const [isSearchFocused, setIsSearchFocused] = useState(false);
+  const [recentSearches, setRecentSearches] = useState([]);
+  const [feedOptions, setFeedOptions] = useState(DEFAULT_FEED_OPTIONS);
+  const [isFilterVisible, setIsFilterVisible] = useState(false);
+  const [commentCounts, setCommentCounts] = useState({});
+  const [reactionSummaries, setReactionSummaries] = useState({});
+  // Without a batch endpoint every card fetches its own reactions
+  const [canBatchReactions, setCanBatchReactions] = useState(isReactionSummariesSupported());
+  const [optimisticEntries, setOptimisticEntries] = useState([]);
+  // Posts created by others since the feed was loaded - shown once the pill is tapped
+  const [newPosts, setNewPosts] = useState([]);
+  
+  const listRef = useRef(null);
+  
+  // Last page loaded into the list, and a guard against onEndReached firing twice
+  const pageRef = useRef(1);
+  const isLoadingMoreRef = useRef(false);
+  
+  // True when the server ignored the sort and filter parameters of the first page
+  const isClientFeedRef = useRef(false);
+  
+  // Bumped whenever the list is reloaded - responses from an older generation are dropped
+  const fetchGenerationRef = useRef(0);
+  
+  // Sort and filters, readable from the fetch functions used by listeners
+  const feedOptionsRef = useRef(feedOptions);
   
   const { user, token, isAuthenticated, isAdmin } = useAuth();
+  const { queueItems, discard } = useSync();
+  const { followingIds } = useFollows();
+  
+  // Followed authors, readable from the fetch functions like the feed options
+  const followingIdsRef = useRef(followingIds);
+  followingIdsRef.current = followingIds;
+  
+  // Server posts with queued offline changes and unconfirmed changes laid on top
+  const displayedPosts = applyOptimisticChanges(
+    applyPendingMutations(posts, queueItems, user),
+    optimisticEntries
+  );
+  
+  const searchTerms = getSearchTerms(searchQuery);
+  const isSearchActive = searchTerms.length > 0;
+  const listData = applyFeedOptions(
+    isSearchActive
+      ? applyOptimisticChanges(searchResults, optimisticEntries.filter(entry => entry.type !== 'create'))
+      : displayedPosts,
+    feedOptions,
+    user,
+    followingIds
+  );
   
-  // Fetch all posts
+  // Authors seen in the loaded posts, for the author filter
+  const authors = Object.values(posts.reduce((found, post) => {
+    if (post.User && post.userId != null) {
+      found[post.userId] = { id: post.userId, name: post.User.name };
+    }
+    return found;
+  }, {}));
+  
+  // Latest posts, readable from listeners registered on first render
+  const postsRef = useRef(posts);
+  postsRef.current = posts;
+  
+  // Waiting posts not already in the list, counted only if the current feed would show them
+  const loadedIds = new Set(posts.map(post => String(post.id)));
+  const newPostCount = applyFeedOptions(
+    newPosts.filter(post => !loadedIds.has(String(post.id))),
+    feedOptions,
+    user,
+    followingIds
+  ).length;
+  
+  // Fetch pages from startPage on and add them to `current`. When the server ignored the
+  // sort or filters the list is sorted and filtered here, so keep going until a page worth
+  // of new posts match (or to the end for an order other than newest first).
+  const loadPages = async (startPage, current) => {
+    const options = feedOptionsRef.current;
+    const followedIds = followingIdsRef.current;
+    const fetchPage = (page) => PostService.getPostsPage({
+      page,
+      params: toQueryParams(options, user, followedIds)
+    });
+    const matchCount = (list) => applyFeedOptions(list, options, user, followedIds).length;
+    
+    let page = startPage;
+    let result = await fetchPage(page);
+    const isClientFeed = startPage === 1
+      ? !matchesFeedOptions(result.posts, options, user, followedIds)
+      : isClientFeedRef.current;
+    let loaded = appendPage(current, result.posts);
+    
+    const needsMorePages = () => {
+      if (!isClientFeed) return false;
+      if (options.feed === 'following' && followedIds.length === 0) return false;
+      if (options.sort !== 'newest') return true;
+      return matchCount(loaded) - matchCount(current) < DEFAULT_PAGE_SIZE;
+    };
+    
+    while (result.hasMore && result.posts.length > 0 && page - startPage + 1 < MAX_CLIENT_PAGES && needsMorePages()) {
+      page++;
+      result = await fetchPage(page);
+      loaded = appendPage(loaded, result.posts);
+    }
+    
+    return { posts: loaded, page, hasMore: result.hasMore && result.posts.length > 0, isClientFeed };
+  };
+  
+  // Load the first page from scratch - keeps showing what we have while revalidating
   const fetchPosts = async () => {
-    setIsLoading(true);
+    const generation = ++fetchGenerationRef.current;
+    if (postsRef.current.length === 0) {
+      setIsLoading(true);
+    }
+    
     try {
-      const response = await PostService.getAllPosts();
-      console.log('Posts received:', response);
-      setPosts(response);
+      const result = await loadPages(1, []);
+      if (generation !== fetchGenerationRef.current) return;
+      
+      console.log('Posts received:', result.posts.length, 'has more:', result.hasMore);
+      isClientFeedRef.current = result.isClientFeed;
+      pageRef.current = result.page;
+      setPosts(result.posts);
+      setNewPosts([]);
+      setHasMore(result.hasMore);
+      setCachedAt(null);
       setError(null);
     } catch (error) {
-      setError('Failed to load posts. Please try again.');
+      if (generation !== fetchGenerationRef.current) return;
       console.error('Error fetching posts:', error);
+      
+      // Fall back to the last saved feed when the network call fails
+      const cached = await PostService.getCachedPosts();
+      if (cached) {
+        setPosts(cached.data);
+        setHasMore(false);
+        setCachedAt(cached.savedAt);
+        setError(null);
+      } else {
+        setError('Failed to load posts. Please try again.');
+      }
     } finally {
-      setIsLoading(false);
+      if (generation === fetchGenerationRef.current) {
+        setIsLoading(false);
+      }
     }
   };
   
-  // Initial data load
-  useEffect(() => {
+  // Pull to refresh
+  const handleRefresh = async () => {
+    setIsRefreshing(true);
+    await fetchPosts();
+    setIsRefreshing(false);
+  };
+  
+  // Refresh only the first page so the pages below (and the scroll position) stay put
+  const revalidateFirstPage = async () => {
+    // Other orders put different posts on page 1 - reload them instead
+    if (feedOptionsRef.current.sort !== 'newest') {
+      await fetchPosts();
+      return;
+    }
+    
+    const generation = fetchGenerationRef.current;
+    try {
+      const result = await PostService.getPostsPage({
+        page: 1,
+        params: toQueryParams(feedOptionsRef.current, user, followingIdsRef.current)
+      });
+      if (generation !== fetchGenerationRef.current) return;
+      
+      setPosts(current => replaceFirstPage(current, result.posts));
+      if (pageRef.current === 1) {
+        setHasMore(result.hasMore);
+      }
+      setCachedAt(null);
+      setError(null);
+    } catch (error) {
+      console.error('Error revalidating posts:', error);
+    }
+  };
+  
+  // Load the next page when the end of the list is reached
+  const loadMorePosts = async () => {
+    if (!hasMore || isLoadingMoreRef.current || isLoading || cachedAt) return;
+    
+    const generation = fetchGenerationRef.current;
+    isLoadingMoreRef.current = true;
+    setIsLoadingMore(true);
+    try {
+      const result = await loadPages(pageRef.current + 1, postsRef.current);
+      if (generation !== fetchGenerationRef.current) return;
+      
+      pageRef.current = result.page;
+      setPosts(current => appendPage(current, result.posts));
+      setHasMore(result.hasMore);
+    } catch (error) {
+      console.error('Error loading more posts:', error);
+    } finally {
+      isLoadingMoreRef.current = false;
+      setIsLoadingMore(false);
+    }
+  };
+  
+  // Apply new sort/filter options, remember them and reload from the first page
+  const changeFeedOptions = (changedOptions) => {
+    const options = normalizeFeedOptions(changedOptions);
+    feedOptionsRef.current = options;
+    setFeedOptions(options);
+    FeedPreferences.save(options);
     fetchPosts();
+  };
+  
+  // Reload the Following feed when authors are followed or unfollowed
+  const followingKey = followingIds.join(',');
+  const followingKeyRef = useRef(followingKey);
+  useEffect(() => {
+    if (followingKeyRef.current === followingKey) return;
+    followingKeyRef.current = followingKey;
+    
+    if (feedOptionsRef.current.feed === 'following') {
+      fetchPosts();
+    }
+  }, [followingKey]);
+  
+  // Filter by a tag tapped on another screen
+  useEffect(() => {
+    const tag = route.params?.tag;
+    if (!tag) return;
+    
+    changeFeedOptions({ ...feedOptionsRef.current, tag });
+    navigation.setParams({ tag: undefined });
+  }, [route.params?.tag]);
+  
+  // Initial data load - saved preferences and cached feed first, then revalidate
+  useEffect(() => {
+    const loadInitialPosts = async () => {
+      const savedOptions = await FeedPreferences.load();
+      feedOptionsRef.current = savedOptions;
+      setFeedOptions(savedOptions);
+      
+      const cached = await PostService.getCachedPosts();
+      if (cached) {
+        setPosts(cached.data);
+        setIsLoading(false);
+      }
+      
+      fetchPosts();
+    };
+    
+    loadInitialPosts();
+  }, []);
+  
+  // Fetch comment counts for loaded posts whose payload doesn't include one
+  useEffect(() => {
+    const missingIds = posts
+      .filter(post => getPostCommentCount(post) === null && commentCounts[post.id] === undefined)
+      .map(post => post.id);
+    
+    if (missingIds.length === 0) return;
+    
+    CommentService.getCommentCounts(missingIds).then(counts => {
+      if (counts && Object.keys(counts).length > 0) {
+        setCommentCounts(current => ({ ...current, ...counts }));
+      }
+    });
+  }, [posts]);
+  
+  // Fetch reactions for loaded posts whose payload doesn't include them, in one request.
+  // Posts the answer leaves out are marked null so they aren't asked for again.
+  useEffect(() => {
+    if (!canBatchReactions) return;
+    
+    const missingIds = posts
+      .filter(post => !getPostReactionSummary(post, user?.id) && reactionSummaries[post.id] === undefined)
+      .map(post => post.id);
+    
+    if (missingIds.length === 0) return;
+    
+    PostService.getReactionSummaries(missingIds, user?.id).then(summaries => {
+      if (!summaries) {
+        setCanBatchReactions(false);
+        return;
+      }
+      
+      const fetched = {};
+      missingIds.forEach(postId => { fetched[postId] = summaries[postId] ?? null; });
+      setReactionSummaries(current => ({ ...current, ...fetched }));
+    });
+  }, [posts, canBatchReactions]);
+  
+  // Keep a confirmed toggle so re-rendered or recycled cards don't show the old counts
+  const handleReactionsChange = (postId, summary) => {
+    setReactionSummaries(current => ({ ...current, [postId]: summary }));
+  };
+  
+  // Comment count to show on a card, or null when unknown
+  const commentCountFor = (post) => {
+    const count = getPostCommentCount(post);
+    return count !== null ? count : (commentCounts[post.id] ?? null);
+  };
+  
+  // Load the search history once
+  useEffect(() => {
+    SearchService.getRecentSearches().then(setRecentSearches);
   }, []);
   
-  // Refresh when screen is focused
+  // Debounced search - the latest query wins if an older request resolves late
+  useEffect(() => {
+    if (!isSearchActive) {
+      setSearchResults([]);
+      setSearchError(null);
+      setIsSearching(false);
+      return;
+    }
+    
+    let isCurrent = true;
+    setIsSearching(true);
+    
+    const timeout = setTimeout(async () => {
+      try {
+        const results = await PostService.searchPosts(searchQuery);
+        if (isCurrent) {
+          setSearchResults(Array.isArray(results) ? results : []);
+          setSearchError(null);
+        }
+      } catch (error) {
+        console.error('Error searching posts:', error);
+        if (isCurrent) {
+          setSearchError('Search failed. Please try again.');
+        }
+      } finally {
+        if (isCurrent) {
+          setIsSearching(false);
+        }
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    
+    return () => {
+      isCurrent = false;
+      clearTimeout(timeout);
+    };
+  }, [searchQuery]);
+  
+  // Remember a query in the search history
+  const saveSearch = async (query) => {
+    const updated = await SearchService.addRecentSearch(query);
+    if (updated.length > 0) {
+      setRecentSearches(updated);
+    }
+  };
+  
+  const clearRecentSearches = async () => {
+    await SearchService.clearRecentSearches();
+    setRecentSearches([]);
+  };
+  
+  // Open a post, saving the query that found it
+  const openPost = (post) => {
+    if (isSearchActive) {
+      saveSearch(searchQuery);
+    }
+    navigation.navigate('PostDetail', { postId: post.id });
+  };
+  
+  // Open the author's public profile
+  const openAuthor = (post) => {
+    navigation.navigate('AuthorProfile', { userId: post.userId, name: post.User?.name });
+  };
+  
+  // Open shared links - Posts is the bottom of the main stack, so this also picks up
+  // a link that launched the app or was followed before logging in
   useEffect(() => {
+    return DeepLinks.subscribe(linkedRoute => navigation.push(linkedRoute.name, linkedRoute.params));
+  }, [navigation]);
+  
+  // Show post changes as soon as they are made (here or on another screen) and
+  // fold in the server's answer - failed changes simply drop out of the overlay
+  useEffect(() => {
+    return OptimisticPosts.subscribe((entries, event) => {
+      setOptimisticEntries(entries);
+      if (event?.status !== 'settled') return;
+      
+      if (event.type === 'create' && !event.post) {
+        revalidateFirstPage();
+        return;
+      }
+      setPosts(current => mergeSettledChange(current, event));
+      if (event.type !== 'create') {
+        setSearchResults(current => mergeSettledChange(current, event));
+      }
+    });
+  }, []);
+  
+  // Put the waiting new posts at the top of the feed and scroll up to them
+  const showNewPosts = () => {
+    setPosts(current => {
+      const currentIds = new Set(current.map(post => String(post.id)));
+      return [...newPosts.filter(post => !currentIds.has(String(post.id))), ...current];
+    });
+    setNewPosts([]);
+    listRef.current?.scrollToOffset({ offset: 0, animated: true });
+  };
+  
+  // Keep new posts for later when they are not ours or already shown
+  const queueNewPosts = (incoming) => {
+    const fresh = incoming.filter(post => (
+      String(post.userId) !== String(user?.id) &&
+      !postsRef.current.some(item => String(item.id) === String(post.id))
+    ));
+    if (fresh.length === 0) return;
+    
+    setNewPosts(current => {
+      const waitingIds = new Set(current.map(post => String(post.id)));
+      return [...fresh.filter(post => !waitingIds.has(String(post.id))), ...current];
+    });
+  };
+  
+  // Check the first page for changes when realtime events aren't available
+  const pollFeed = async () => {
+    const generation = fetchGenerationRef.current;
+    try {
+      const result = await PostService.getPostsPage({
+        page: 1,
+        params: toQueryParams(feedOptionsRef.current, user, followingIdsRef.current)
+      });
+      if (generation !== fetchGenerationRef.current) return;
+      
+      const newest = newestCreatedAt(postsRef.current);
+      queueNewPosts(result.posts.filter(post => new Date(post.createdAt).getTime() > newest));
+      
+      // Edits to posts already on screen are applied in place
+      const freshById = {};
+      result.posts.forEach(post => { freshById[String(post.id)] = post; });
+      setPosts(current => current.map(post => freshById[String(post.id)] || post));
+    } catch (error) {
+      console.error('Error polling the feed:', error.response?.data || error.message);
+    }
+  };
+  
+  // Live updates from other users while the feed is on screen - edits and deletes apply
+  // right away, new posts wait behind the pill. Coming back catches up with a poll.
+  useFocusEffect(useCallback(() => {
+    return LiveFeed.subscribe({
+      onCreated: (post) => queueNewPosts([post]),
+      onUpdated: (post) => {
+        const event = { type: 'update', postId: post.id, changes: null, post };
+        setPosts(current => mergeSettledChange(current, event));
+        setSearchResults(current => mergeSettledChange(current, event));
+        setNewPosts(current => mergeSettledChange(current, event));
+      },
+      onDeleted: (postId) => {
+        const event = { type: 'delete', postId };
+        setPosts(current => mergeSettledChange(current, event));
+        setSearchResults(current => mergeSettledChange(current, event));
+        setNewPosts(current => mergeSettledChange(current, event));
+      },
+      poll: pollFeed
+    });
+  }, [user?.id]));
+  
+  // Revalidate when coming back to the screen (the first focus is the initial load)
+  useEffect(() => {
+    let isFirstFocus = true;
     const unsubscribe = navigation.addListener('focus', () => {
-      fetchPosts();
+      if (isFirstFocus) {
+        isFirstFocus = false;
+        return;
+      }
+      revalidateFirstPage();
     });
     
     return unsubscribe;
@@ -52,51 +579,55 @@ export default function PostsScreen({ navigation }) {
   
   // Delete post handler
   const handleDeletePost = async (postId, post) => {
-    Alert.alert(
-      'Confirm Delete',
-      'Are you sure you want to delete this post?',
-      [
-        { text: 'Cancel', style: 'cancel' },
-        {
-          text: 'Delete',
-          style: 'destructive',
-          onPress: async () => {
-            try {
-              const isOwnPost = post.userId === user.id;
-              console.log('Deleting post:', postId);
-              console.log('Post userId:', post.userId, 'Current user id:', user.id);
-              console.log('Is admin:', isAdmin, 'Is own post:', isOwnPost);
-              
-              if (isAdmin) {
-                await PostService.deletePost(postId, token);
-              } else if (isOwnPost) {
-                await PostService.deleteOwnPost(postId, token);
-              } else {
-                Alert.alert('Error', 'You can only delete your own posts');
-                return;
-              }
-              
-              // Refresh posts after deletion
-              fetchPosts();
-              Alert.alert('Success', 'Post deleted successfully');
-            } catch (error) {
-              console.error('Error deleting post:', error.response?.data || error.message);
-              Alert.alert('Error', 'Failed to delete post: ' + (error.response?.data?.message || error.message));
-            }
-          }
-        }
-      ]
-    );
+    // A post that was never synced only needs to leave the queue
+    if (isPendingPostId(postId)) {
+      discard(post._sync.itemId);
+      return;
+    }
+    
+    const isOwnPost = post.userId === user.id;
+    console.log('Deleting post:', postId);
+    console.log('Post userId:', post.userId, 'Current user id:', user.id);
+    console.log('Is admin:', isAdmin, 'Is own post:', isOwnPost);
+    
+    if (!isAdmin && !isOwnPost) {
+      Alert.alert('Error', 'You can only delete your own posts');
+      return;
+    }
+    
+    // The card disappears right away and the request waits until the undo snackbar closes
+    try {
+      const result = await OptimisticPosts.run({
+        type: 'delete',
+        postId,
+        label: post.title,
+        undoDelay: UNDO_DELETE_MS,
+        request: () => (isAdmin
+          ? PostService.deletePost(postId, token)
+          : PostService.deleteOwnPost(postId, token))
+      });
+      
+      if (result?.queued) {
+        Alert.alert('Offline', 'The post will be deleted when you are back online');
+      }
+    } catch (error) {
+      console.error('Error deleting post:', error.response?.data || error.message);
+      Alert.alert(
+        'Delete Failed',
+        `"${post.title}" could not be deleted and has been restored. ` +
+        (error.response?.data?.message || error.message)
+      );
+    }
   };
   
   // Determine if the user can edit or delete a post
   const canEditPost = (post) => {
-    if (!isAuthenticated) return false;
+    if (!isAuthenticated || isUnsyncedPost(post)) return false;
     return isAdmin || post.userId === user.id;
   };
   
   const canDeletePost = (post) => {
-    if (!isAuthenticated) return false;
+    if (!isAuthenticated || isOptimisticPostId(post.id)) return false;
     return isAdmin || post.userId === user.id;
   };
   
@@ -139,76 +670,286 @@ export default function PostsScreen({ navigation }) {
         )}
       </View>
       
-      {posts.length === 0 ? (
-        <View style={styles.emptyContainer}>
-          <Feather name="file-text" size={60} color="#ccc" />
-          <Text style={styles.emptyText}>No posts available</Text>
-          {isAuthenticated && (
-            <TouchableOpacity 
-              style={styles.createFirstButton}
-              onPress={() => navigation.navigate('NewPost')}
-            >
-              <Text style={styles.createFirstButtonText}>Create First Post</Text>
+      {isAuthenticated && (
+        <View style={styles.feedTabs}>
+          {FEEDS.map(feed => {
+            const isActive = feedOptions.feed === feed.key;
+            return (
+              <TouchableOpacity
+                key={feed.key}
+                style={[styles.feedTab, isActive && styles.feedTabActive]}
+                onPress={() => !isActive && changeFeedOptions({ ...feedOptions, feed: feed.key })}
+                accessibilityRole="tab"
+                accessibilityState={{ selected: isActive }}
+              >
+                <Text style={[styles.feedTabText, isActive && styles.feedTabTextActive]}>
+                  {feed.label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      )}
+      
+      <View style={styles.searchContainer}>
+        <Feather name="search" size={18} color="#999" />
+        <TextInput
+          style={styles.searchInput}
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          placeholder="Search posts, content or authors"
+          placeholderTextColor="#999"
+          returnKeyType="search"
+          autoCapitalize="none"
+          autoCorrect={false}
+          onFocus={() => setIsSearchFocused(true)}
+          onBlur={() => setIsSearchFocused(false)}
+          onSubmitEditing={() => saveSearch(searchQuery)}
+        />
+        {isSearching && <ActivityIndicator size="small" color="#FF6B6B" />}
+        {searchQuery.length > 0 && !isSearching && (
+          <TouchableOpacity onPress={() => setSearchQuery('')}>
+            <Feather name="x-circle" size={18} color="#999" />
+          </TouchableOpacity>
+        )}
+      </View>
+      
+      <FilterChipBar
+        options={feedOptions}
+        onChange={changeFeedOptions}
+        onOpenFilters={() => setIsFilterVisible(true)}
+      />
+      
+      <FeedFilterModal
+        visible={isFilterVisible}
+        options={feedOptions}
+        authors={authors}
+        onChange={changeFeedOptions}
+        onClose={() => setIsFilterVisible(false)}
+      />
+      
+      {isSearchFocused && !isSearchActive && recentSearches.length > 0 && (
+        <View style={styles.recentSearches}>
+          <View style={styles.recentHeader}>
+            <Text style={styles.recentTitle}>Recent searches</Text>
+            <TouchableOpacity onPress={clearRecentSearches}>
+              <Text style={styles.recentClear}>Clear</Text>
             </TouchableOpacity>
-          )}
+          </View>
+          <View style={styles.recentList}>
+            {recentSearches.map(recent => (
+              <TouchableOpacity
+                key={recent}
+                style={styles.recentChip}
+                onPress={() => setSearchQuery(recent)}
+              >
+                <Feather name="clock" size={12} color="#666" />
+                <Text style={styles.recentChipText}>{recent}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      )}
+      
+      {searchError && isSearchActive && (
+        <Text style={styles.searchErrorText}>{searchError}</Text>
+      )}
+      
+      {cachedAt && (
+        <View style={styles.cacheBanner}>
+          <Feather name="cloud-off" size={16} color="#7f8c8d" />
+          <Text style={styles.cacheBannerText}>
+            Showing cached data from {new Date(cachedAt).toLocaleString()}
+          </Text>
+          <TouchableOpacity onPress={fetchPosts}>
+            <Feather name="refresh-cw" size={16} color="#FF6B6B" />
+          </TouchableOpacity>
         </View>
-      ) : (
-        <FlatList
-          data={posts}
-          keyExtractor={(item) => item.id.toString()}
-          renderItem={({ item }) => (
-            <TouchableOpacity
-              style={styles.postCard}
-              onPress={() => navigation.navigate('PostDetail', { postId: item.id })}
-            >
-              <View style={styles.postHeader}>
-                <Text style={styles.postTitle}>{item.title}</Text>
+      )}
+      
+      <View style={styles.feedContainer}>
+        {isSearchActive && listData.length === 0 ? (
+          <View style={styles.emptyContainer}>
+            <Feather name="search" size={60} color="#ccc" />
+            <Text style={styles.emptyText}>
+              {isSearching ? 'Searching...' : `No posts match "${searchQuery.trim()}"`}
+            </Text>
+          </View>
+        ) : listData.length === 0 && feedOptions.feed === 'following' && !hasActiveFilters(feedOptions) &&
+            (followingIds.length === 0 || !hasMore) ? (
+          <View style={styles.emptyContainer}>
+            <Feather name="users" size={60} color="#ccc" />
+            <Text style={styles.emptyText}>
+              {followingIds.length === 0
+                ? 'Follow authors from their profile to see their posts here'
+                : 'No posts from the authors you follow yet'}
+            </Text>
+          </View>
+        ) : listData.length === 0 && hasActiveFilters(feedOptions) && !hasMore ? (
+          <View style={styles.emptyContainer}>
+            <Feather name="filter" size={60} color="#ccc" />
+            <Text style={styles.emptyText}>No posts match these filters</Text>
+          </View>
+        ) : listData.length === 0 && !hasMore ? (
+          <View style={styles.emptyContainer}>
+            <Feather name="file-text" size={60} color="#ccc" />
+            <Text style={styles.emptyText}>No posts available</Text>
+            {isAuthenticated && (
+              <TouchableOpacity 
+                style={styles.createFirstButton}
+                onPress={() => navigation.navigate('NewPost')}
+              >
+                <Text style={styles.createFirstButtonText}>Create First Post</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        ) : (
+          <FlatList
+            ref={listRef}
+            data={listData}
+            keyExtractor={(item) => item.id.toString()}
+            keyboardShouldPersistTaps="handled"
+            renderItem={({ item }) => (
+              <TouchableOpacity
+                style={[
+                  styles.postCard,
+                  item._sync && styles.pendingPostCard,
+                  item._optimistic && styles.optimisticPostCard
+                ]}
+                onPress={() => openPost(item)}
+                disabled={isUnsyncedPost(item)}
+              >
+                <SyncBadge sync={item._sync} />
+                {item._optimistic && (
+                  <View style={styles.savingBadge}>
+                    <ActivityIndicator size="small" color="#999" />
+                    <Text style={styles.savingText}>Saving...</Text>
+                  </View>
+                )}
                 
-                <View style={styles.postActions}>
-                  {canEditPost(item) && (
-                    <TouchableOpacity
-                      style={styles.actionButton}
-                      onPress={() => navigation.navigate('EditPost', { 
-                        postId: item.id,
-                        isOwnPost: item.userId === user.id
-                      })}
-                    >
-                      <Feather name="edit" size={18} color="#3498db" />
-                    </TouchableOpacity>
-                  )}
+                <View style={styles.postHeader}>
+                  <HighlightedText
+                    style={styles.postTitle}
+                    text={item.title}
+                    terms={searchTerms}
+                  />
                   
-                  {canDeletePost(item) && (
-                    <TouchableOpacity
-                      style={styles.actionButton}
-                      onPress={() => handleDeletePost(item.id, item)}
-                    >
-                      <Feather name="trash-2" size={18} color="#e74c3c" />
-                    </TouchableOpacity>
-                  )}
+                  <View style={styles.postActions}>
+                    {!isUnsyncedPost(item) && <BookmarkButton post={item} />}
+                    
+                    {canEditPost(item) && (
+                      <TouchableOpacity
+                        style={styles.actionButton}
+                        onPress={() => navigation.navigate('EditPost', { 
+                          postId: item.id,
+                          isOwnPost: item.userId === user.id
+                        })}
+                      >
+                        <Feather name="edit" size={18} color="#3498db" />
+                      </TouchableOpacity>
+                    )}
+                    
+                    {canDeletePost(item) && (
+                      <TouchableOpacity
+                        style={styles.actionButton}
+                        onPress={() => handleDeletePost(item.id, item)}
+                      >
+                        <Feather name="trash-2" size={18} color="#e74c3c" />
+                      </TouchableOpacity>
+                    )}
+                  </View>
                 </View>
-              </View>
-              
-              <Text style={styles.postExcerpt} numberOfLines={2}>
-                {item.content}
-              </Text>
-              
-              <View style={styles.postFooter}>
-                <View style={styles.authorContainer}>
-                  <Feather name="user" size={14} color="#666" />
-                  <Text style={styles.authorText}>
-                    {item.User ? item.User.name : 'Unknown Author'}
-                  </Text>
+                
+                <View style={styles.postBody}>
+                  <HighlightedText
+                    style={styles.postExcerpt}
+                    numberOfLines={2}
+                    text={isSearchActive ? buildExcerpt(stripMarkdown(item.content), searchTerms) : stripMarkdown(item.content)}
+                    terms={searchTerms}
+                  />
+                  {getPostImages(item).length > 0 && (
+                    <Image
+                      source={{ uri: resolveImageUrl(getPostImages(item)[0].url) }}
+                      style={styles.postThumbnail}
+                    />
+                  )}
                 </View>
                 
-                <Text style={styles.dateText}>
-                  {new Date(item.createdAt).toLocaleDateString()}
-                </Text>
+                <TagChips
+                  tags={getPostTags(item)}
+                  activeTag={feedOptions.tag}
+                  onPressTag={(tag) => changeFeedOptions({ ...feedOptions, tag })}
+                />
+                
+                {!isUnsyncedPost(item) && (
+                  <ReactionBar
+                    post={item}
+                    reactions={reactionSummaries[item.id] ?? null}
+                    fetchMissing={!canBatchReactions}
+                    onChange={(summary) => handleReactionsChange(item.id, summary)}
+                  />
+                )}
+                
+                <View style={styles.postFooter}>
+                  <TouchableOpacity
+                    style={styles.authorContainer}
+                    onPress={() => openAuthor(item)}
+                    disabled={item.userId == null}
+                    accessibilityLabel={item.User ? `View ${item.User.name}'s profile` : undefined}
+                  >
+                    <Feather name="user" size={14} color="#666" />
+                    <HighlightedText
+                      style={styles.authorText}
+                      text={item.User ? item.User.name : 'Unknown Author'}
+                      terms={searchTerms}
+                    />
+                  </TouchableOpacity>
+                  
+                  <View style={styles.footerMeta}>
+                    {commentCountFor(item) !== null && (
+                      <View style={styles.commentCount}>
+                        <Feather name="message-circle" size={14} color="#999" />
+                        <Text style={styles.commentCountText}>{commentCountFor(item)}</Text>
+                      </View>
+                    )}
+                    <Text style={styles.dateText}>
+                      {new Date(item.createdAt).toLocaleDateString()}
+                    </Text>
+                  </View>
+                </View>
+              </TouchableOpacity>
+            )}
+            contentContainerStyle={styles.postsList}
+            onEndReached={isSearchActive ? null : loadMorePosts}
+            onEndReachedThreshold={0.5}
+            refreshing={isRefreshing}
+            onRefresh={isSearchActive ? null : handleRefresh}
+            maintainVisibleContentPosition={{ minIndexForVisible: 0 }}
+            ListEmptyComponent={
+              <Text style={styles.noMatchesText}>No matching posts loaded yet</Text>
+            }
+            ListFooterComponent={isLoadingMore ? (
+              <View style={styles.listFooter}>
+                <ActivityIndicator size="small" color="#FF6B6B" />
               </View>
-            </TouchableOpacity>
-          )}
-          contentContainerStyle={styles.postsList}
-        />
-      )}
+            ) : hasMore && !isSearchActive && listData.length < DEFAULT_PAGE_SIZE ? (
+              // A short list may not scroll far enough to reach onEndReached
+              <TouchableOpacity style={styles.loadMoreButton} onPress={loadMorePosts}>
+                <Text style={styles.loadMoreText}>Load more posts</Text>
+              </TouchableOpacity>
+            ) : null}
+          />
+        )}
+        
+        {newPostCount > 0 && !isSearchActive && (
+          <TouchableOpacity style={styles.newPostsPill} onPress={showNewPosts}>
+            <Feather name="arrow-up" size={14} color="white" />
+            <Text style={styles.newPostsPillText}>
+              {newPostCount === 1 ? '1 new post' : `${newPostCount} new posts`}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
     </View>
   );
 }
@@ -218,6 +959,30 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#f8f9fa',
   },
+  feedContainer: {
+    flex: 1,
+  },
+  newPostsPill: {
+    position: 'absolute',
+    top: 8,
+    alignSelf: 'center',
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FF6B6B',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 20,
+    elevation: 3,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 3,
+  },
+  newPostsPillText: {
+    color: 'white',
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
   centerContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -271,6 +1036,109 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: 'bold',
   },
+  feedTabs: {
+    flexDirection: 'row',
+    marginHorizontal: 16,
+    marginBottom: 10,
+    backgroundColor: '#eee',
+    borderRadius: 8,
+    padding: 3,
+  },
+  feedTab: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 7,
+    borderRadius: 6,
+  },
+  feedTabActive: {
+    backgroundColor: 'white',
+  },
+  feedTabText: {
+    fontSize: 14,
+    color: '#666',
+    fontWeight: '500',
+  },
+  feedTabTextActive: {
+    color: '#FF6B6B',
+    fontWeight: '600',
+  },
+  searchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 20,
+    marginHorizontal: 16,
+    marginBottom: 12,
+    paddingHorizontal: 12,
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: 8,
+    paddingHorizontal: 8,
+    fontSize: 15,
+    color: '#333',
+  },
+  searchErrorText: {
+    fontSize: 14,
+    color: '#e74c3c',
+    marginHorizontal: 16,
+    marginBottom: 8,
+  },
+  recentSearches: {
+    marginHorizontal: 16,
+    marginBottom: 12,
+  },
+  recentHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  recentTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+  },
+  recentClear: {
+    fontSize: 13,
+    color: '#FF6B6B',
+  },
+  recentList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  recentChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#eee',
+    borderRadius: 14,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  recentChipText: {
+    fontSize: 13,
+    color: '#333',
+    marginLeft: 4,
+  },
+  cacheBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#ecf0f1',
+    marginHorizontal: 16,
+    marginBottom: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+  },
+  cacheBannerText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginLeft: 8,
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -297,6 +1165,29 @@ const styles = StyleSheet.create({
     padding: 16,
     paddingBottom: 24,
   },
+  listFooter: {
+    paddingVertical: 16,
+    alignItems: 'center',
+  },
+  noMatchesText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 20,
+  },
+  loadMoreButton: {
+    alignSelf: 'center',
+    marginVertical: 16,
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#FF6B6B',
+  },
+  loadMoreText: {
+    color: '#FF6B6B',
+    fontWeight: '600',
+  },
   postCard: {
     backgroundColor: 'white',
     borderRadius: 12,
@@ -308,6 +1199,24 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 3,
   },
+  optimisticPostCard: {
+    opacity: 0.7,
+  },
+  savingBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  savingText: {
+    marginLeft: 6,
+    fontSize: 12,
+    color: '#999',
+  },
+  pendingPostCard: {
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: '#f39c12',
+  },
   postHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -328,12 +1237,25 @@ const styles = StyleSheet.create({
     padding: 6,
     marginLeft: 8,
   },
+  postBody: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
   postExcerpt: {
+    flex: 1,
     fontSize: 14,
     color: '#666',
     lineHeight: 20,
     marginBottom: 12,
   },
+  postThumbnail: {
+    width: 64,
+    height: 64,
+    borderRadius: 8,
+    marginLeft: 12,
+    marginBottom: 12,
+    backgroundColor: '#eee',
+  },
   postFooter: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -352,6 +1274,20 @@ const styles = StyleSheet.create({
     color: '#666',
     marginLeft: 5,
   },
+  footerMeta: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  commentCount: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  commentCountText: {
+    fontSize: 12,
+    color: '#999',
+    marginLeft: 4,
+  },
   dateText: {
     fontSize: 12,
     color: '#999',
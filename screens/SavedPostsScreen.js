@@ -0,0 +1,216 @@
+// screens/SavedPostsScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { useBookmarks } from '../contexts/BookmarkContext';
+import BookmarkService from '../services/BookmarkService';
+import PostService from '../services/PostService';
+import BookmarkButton from '../components/BookmarkButton';
+import { stripMarkdown } from '../services/MarkdownParser';
+
+export default function SavedPostsScreen({ navigation }) {
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  const { bookmarks, syncBookmarks } = useBookmarks();
+
+  // Fill in bookmarks synced from the server without a saved copy of the post
+  useEffect(() => {
+    bookmarks
+      .filter(bookmark => !bookmark.post)
+      .forEach(async (bookmark) => {
+        const cached = await PostService.getCachedPost(bookmark.postId);
+        if (cached) {
+          await BookmarkService.updateSnapshot(cached.data);
+          return;
+        }
+
+        try {
+          const post = await PostService.getPostById(bookmark.postId);
+          await BookmarkService.updateSnapshot(post);
+        } catch (error) {
+          console.error('Error loading bookmarked post:', bookmark.postId, error.message);
+        }
+      });
+  }, [bookmarks.length]);
+
+  // Pull to refresh - sync with the server and refresh the saved copies
+  const handleRefresh = async () => {
+    setIsRefreshing(true);
+    try {
+      await syncBookmarks();
+      await Promise.all(bookmarks.map(async (bookmark) => {
+        try {
+          const post = await PostService.getPostById(bookmark.postId);
+          await BookmarkService.updateSnapshot(post);
+        } catch (error) {
+          // Offline or deleted - keep the saved copy
+          console.log('Keeping saved copy of post:', bookmark.postId);
+        }
+      }));
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  if (bookmarks.length === 0) {
+    return (
+      <View style={styles.emptyContainer}>
+        <Feather name="bookmark" size={60} color="#ccc" />
+        <Text style={styles.emptyText}>No saved posts yet</Text>
+        <Text style={styles.emptyHint}>Tap the bookmark icon on a post to read it later, even offline.</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Saved Posts</Text>
+        <Text style={styles.countText}>{bookmarks.length}</Text>
+      </View>
+
+      <FlatList
+        data={bookmarks}
+        keyExtractor={(item) => item.postId}
+        refreshing={isRefreshing}
+        onRefresh={handleRefresh}
+        renderItem={({ item }) => (
+          <TouchableOpacity
+            style={styles.postCard}
+            onPress={() => navigation.navigate('PostDetail', { postId: item.postId })}
+          >
+            <View style={styles.postHeader}>
+              <Text style={styles.postTitle}>
+                {item.post ? item.post.title : 'Loading saved post...'}
+              </Text>
+              {item.post && <BookmarkButton post={item.post} />}
+            </View>
+
+            {item.post && (
+              <Text style={styles.postExcerpt} numberOfLines={2}>
+                {stripMarkdown(item.post.content)}
+              </Text>
+            )}
+
+            <View style={styles.postFooter}>
+              <View style={styles.authorContainer}>
+                <Feather name="user" size={14} color="#666" />
+                <Text style={styles.authorText}>
+                  {item.post?.User ? item.post.User.name : 'Unknown Author'}
+                </Text>
+              </View>
+
+              <Text style={styles.dateText}>
+                Saved {new Date(item.savedAt).toLocaleDateString()}
+              </Text>
+            </View>
+          </TouchableOpacity>
+        )}
+        contentContainerStyle={styles.postsList}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  countText: {
+    fontSize: 16,
+    color: '#999',
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: '#f8f9fa',
+  },
+  emptyText: {
+    fontSize: 18,
+    color: '#666',
+    marginTop: 10,
+    marginBottom: 8,
+  },
+  emptyHint: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+  },
+  postsList: {
+    padding: 16,
+    paddingBottom: 24,
+  },
+  postCard: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  postHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: 12,
+  },
+  postTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+    marginRight: 10,
+  },
+  postExcerpt: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  postFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 8,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+  },
+  authorContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  authorText: {
+    fontSize: 12,
+    color: '#666',
+    marginLeft: 5,
+  },
+  dateText: {
+    fontSize: 12,
+    color: '#999',
+  },
+});
@@ -8,26 +8,44 @@ import {
   TouchableOpacity,
   ActivityIndicator
 } from 'react-native';
-import axios from 'axios';
+import ApiClient, { API_URL, APP_ENV } from '../services/ApiClient';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useAuth } from '../contexts/AuthContext';
 
+// Format a duration in milliseconds as h:mm:ss
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+};
+
+// Format a JWT timestamp claim (seconds since epoch)
+const formatClaimDate = (seconds) => (
+  seconds ? new Date(seconds * 1000).toLocaleString() : 'N/A'
+);
+
 export default function TokenDebugScreen({ navigation }) {
   const [storageData, setStorageData] = useState(null);
   const [axiosHeaders, setAxiosHeaders] = useState(null);
   const [testResponse, setTestResponse] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [now, setNow] = useState(Date.now());
   
-  const { token, user } = useAuth();
+  const { token, user, tokenClaims, expiresAt } = useAuth();
   
   // Check storage
   const checkStorage = async () => {
     try {
       const storedToken = await AsyncStorage.getItem('authToken');
       const storedUser = await AsyncStorage.getItem('user');
+      const storedRefreshToken = await AsyncStorage.getItem('refreshToken');
       
       setStorageData({
         token: storedToken,
+        refreshToken: storedRefreshToken,
         user: storedUser ? JSON.parse(storedUser) : null
       });
     } catch (error) {
@@ -37,7 +55,7 @@ export default function TokenDebugScreen({ navigation }) {
   
   // Check headers
   const checkHeaders = () => {
-    setAxiosHeaders(axios.defaults.headers.common);
+    setAxiosHeaders(ApiClient.defaults.headers.common);
   };
   
   // Test API call
@@ -48,7 +66,7 @@ export default function TokenDebugScreen({ navigation }) {
       const currentToken = await AsyncStorage.getItem('authToken');
       
       // Test the API call with explicit token
-      const response = await axios.get('http://10.0.2.2:3000/user/monprofil', {
+      const response = await ApiClient.get('/user/monprofil', {
         headers: {
           'Authorization': `Bearer ${currentToken}`
         }
@@ -77,6 +95,14 @@ export default function TokenDebugScreen({ navigation }) {
     checkHeaders();
   }, []);
   
+  // Tick every second while there is an expiry to count down to
+  useEffect(() => {
+    if (!expiresAt) return;
+    
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [expiresAt]);
+  
   return (
     <ScrollView style={styles.container}>
       <View style={styles.section}>
@@ -89,6 +115,50 @@ export default function TokenDebugScreen({ navigation }) {
           <Text style={styles.label}>User in Context:</Text>
           <Text style={styles.value}>{user ? 'Present' : 'Missing'}</Text>
         </View>
+        <View style={styles.infoItem}>
+          <Text style={styles.label}>Environment:</Text>
+          <Text style={styles.value}>{APP_ENV}</Text>
+        </View>
+        <View style={styles.infoItem}>
+          <Text style={styles.label}>API URL:</Text>
+          <Text style={styles.value}>{API_URL}</Text>
+        </View>
+      </View>
+      
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Token Claims</Text>
+        {!tokenClaims ? (
+          <Text style={styles.label}>No decodable token</Text>
+        ) : (
+          <>
+            <View style={styles.infoItem}>
+              <Text style={styles.label}>Issued At:</Text>
+              <Text style={styles.value}>{formatClaimDate(tokenClaims.iat)}</Text>
+            </View>
+            <View style={styles.infoItem}>
+              <Text style={styles.label}>Expires At:</Text>
+              <Text style={styles.value}>{formatClaimDate(tokenClaims.exp)}</Text>
+            </View>
+            <View style={styles.infoItem}>
+              <Text style={styles.label}>Time Left:</Text>
+              <Text style={[
+                styles.value,
+                expiresAt && expiresAt <= now ? styles.errorText : null
+              ]}>
+                {expiresAt
+                  ? (expiresAt > now ? formatCountdown(expiresAt - now) : 'Expired')
+                  : 'No expiry'}
+              </Text>
+            </View>
+            
+            <View style={styles.tokenPreview}>
+              <Text style={styles.tokenTitle}>Decoded Payload:</Text>
+              <Text style={styles.tokenValue}>
+                {JSON.stringify(tokenClaims, null, 2)}
+              </Text>
+            </View>
+          </>
+        )}
       </View>
       
       <View style={styles.section}>
@@ -101,6 +171,10 @@ export default function TokenDebugScreen({ navigation }) {
               <Text style={styles.label}>Token in Storage:</Text>
               <Text style={styles.value}>{storageData.token ? 'Present' : 'Missing'}</Text>
             </View>
+            <View style={styles.infoItem}>
+              <Text style={styles.label}>Refresh Token in Storage:</Text>
+              <Text style={styles.value}>{storageData.refreshToken ? 'Present' : 'Missing'}</Text>
+            </View>
             <View style={styles.infoItem}>
               <Text style={styles.label}>User in Storage:</Text>
               <Text style={styles.value}>{storageData.user ? 'Present' : 'Missing'}</Text>
@@ -0,0 +1,299 @@
+// screens/TrashScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Alert
+} from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { useAuth } from '../contexts/AuthContext';
+import PostService from '../services/PostService';
+import { stripMarkdown } from '../services/MarkdownParser';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days left before the server removes a deleted post for good
+const daysLeft = (post, retentionDays) => {
+  const purgeAt = post.purgeAt
+    ? new Date(post.purgeAt).getTime()
+    : new Date(post.deletedAt).getTime() + retentionDays * DAY_MS;
+
+  return Math.max(0, Math.ceil((purgeAt - Date.now()) / DAY_MS));
+};
+
+// Admin screen listing deleted posts that can still be restored
+export default function TrashScreen() {
+  const [posts, setPosts] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [isSupported, setIsSupported] = useState(true);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const { token, isAdmin } = useAuth();
+
+  const fetchTrash = async () => {
+    try {
+      const trash = await PostService.getDeletedPosts(token);
+      if (!trash) {
+        setIsSupported(false);
+        return;
+      }
+
+      setPosts(trash.posts);
+      setRetentionDays(trash.retentionDays);
+      setError(null);
+    } catch (error) {
+      setError('Failed to load deleted posts');
+    } finally {
+      setIsLoading(false);
+      setIsRefreshing(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchTrash();
+    }
+  }, [isAdmin]);
+
+  const handleRefresh = () => {
+    setIsRefreshing(true);
+    fetchTrash();
+  };
+
+  const handleRestore = async (post) => {
+    setBusyId(post.id);
+    try {
+      await PostService.restorePost(post.id, token);
+      setPosts(current => current.filter(item => item.id !== post.id));
+    } catch (error) {
+      Alert.alert('Error', error.response?.data?.message || 'Failed to restore this post');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = (post) => {
+    Alert.alert(
+      'Delete Forever',
+      `"${post.title}" will be removed permanently. This cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            setBusyId(post.id);
+            try {
+              await PostService.purgePost(post.id, token);
+              setPosts(current => current.filter(item => item.id !== post.id));
+            } catch (error) {
+              Alert.alert('Error', error.response?.data?.message || 'Failed to delete this post');
+            } finally {
+              setBusyId(null);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  if (!isAdmin) {
+    return (
+      <View style={styles.centerContainer}>
+        <Feather name="lock" size={50} color="#ccc" />
+        <Text style={styles.emptyText}>Only admins can see deleted posts</Text>
+      </View>
+    );
+  }
+
+  if (isLoading) {
+    return (
+      <View style={styles.centerContainer}>
+        <ActivityIndicator size="large" color="#FF6B6B" />
+      </View>
+    );
+  }
+
+  if (!isSupported) {
+    return (
+      <View style={styles.centerContainer}>
+        <Feather name="trash" size={50} color="#ccc" />
+        <Text style={styles.emptyText}>This server deletes posts permanently</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Trash</Text>
+        <Text style={styles.hint}>
+          Deleted posts are kept for {retentionDays} days
+        </Text>
+      </View>
+
+      {error && <Text style={styles.errorText}>{error}</Text>}
+
+      <FlatList
+        data={posts}
+        keyExtractor={(item) => item.id.toString()}
+        contentContainerStyle={styles.list}
+        refreshControl={
+          <RefreshControl
+            refreshing={isRefreshing}
+            onRefresh={handleRefresh}
+            colors={['#FF6B6B']}
+          />
+        }
+        ListEmptyComponent={
+          !error && (
+            <View style={styles.emptyContainer}>
+              <Feather name="trash" size={40} color="#ccc" />
+              <Text style={styles.emptyText}>The trash is empty</Text>
+            </View>
+          )
+        }
+        renderItem={({ item }) => {
+          const remaining = daysLeft(item, retentionDays);
+          const isBusy = busyId === item.id;
+          return (
+            <View style={styles.postCard}>
+              <Text style={styles.postTitle} numberOfLines={1}>{item.title}</Text>
+              <Text style={styles.postExcerpt} numberOfLines={2}>{stripMarkdown(item.content)}</Text>
+              <Text style={styles.postMeta}>
+                By {item.User?.name || 'Unknown'}
+                {item.deletedAt ? `  •  Deleted ${new Date(item.deletedAt).toLocaleDateString()}` : ''}
+                {`  •  ${remaining} ${remaining === 1 ? 'day' : 'days'} left`}
+              </Text>
+
+              <View style={styles.actions}>
+                {isBusy ? (
+                  <ActivityIndicator size="small" color="#FF6B6B" />
+                ) : (
+                  <>
+                    <TouchableOpacity style={styles.purgeButton} onPress={() => handlePurge(item)}>
+                      <Feather name="x-circle" size={14} color="#e74c3c" />
+                      <Text style={styles.purgeText}>Delete forever</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.restoreButton} onPress={() => handleRestore(item)}>
+                      <Feather name="rotate-ccw" size={14} color="white" />
+                      <Text style={styles.restoreText}>Restore</Text>
+                    </TouchableOpacity>
+                  </>
+                )}
+              </View>
+            </View>
+          );
+        }}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  header: {
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  hint: {
+    marginTop: 4,
+    fontSize: 14,
+    color: '#999',
+  },
+  list: {
+    paddingHorizontal: 16,
+    paddingBottom: 20,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#e74c3c',
+    marginHorizontal: 16,
+    marginBottom: 8,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    marginTop: 40,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    marginTop: 10,
+    textAlign: 'center',
+  },
+  postCard: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 14,
+    marginBottom: 10,
+  },
+  postTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  postExcerpt: {
+    marginTop: 4,
+    fontSize: 14,
+    color: '#666',
+  },
+  postMeta: {
+    marginTop: 8,
+    fontSize: 12,
+    color: '#999',
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  purgeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginRight: 8,
+  },
+  purgeText: {
+    marginLeft: 4,
+    fontSize: 13,
+    color: '#e74c3c',
+  },
+  restoreButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FF6B6B',
+    borderRadius: 6,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  restoreText: {
+    marginLeft: 4,
+    fontSize: 13,
+    color: 'white',
+    fontWeight: '600',
+  },
+});
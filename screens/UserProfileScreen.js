@@ -13,29 +13,39 @@ import {
 import { Feather } from '@expo/vector-icons';
 import { useAuth } from '../contexts/AuthContext';
 import PostService from '../services/PostService';
+import { stripMarkdown } from '../services/MarkdownParser';
+import ProfileHeader from '../components/ProfileHeader';
+import FollowService from '../services/FollowService';
+import { useFollows } from '../contexts/FollowContext';
+import OptimisticPosts, {
+  applyOptimisticChanges,
+  mergeSettledChange,
+  isOptimisticPostId
+} from '../services/OptimisticPosts';
 
 export default function UserProfileScreen({ navigation }) {
   const [userProfile, setUserProfile] = useState(null);
   const [userPosts, setUserPosts] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [optimisticEntries, setOptimisticEntries] = useState([]);
+  const [followerCount, setFollowerCount] = useState(null);
   
   const { user, token, logout, getUserProfile } = useAuth();
+  const { followingIds } = useFollows();
+  
+  // The user's posts with changes that are still on their way to the server
+  const displayedPosts = applyOptimisticChanges(userPosts, optimisticEntries);
   
   // Fetch user's posts
   const fetchUserPosts = async () => {
     try {
-      // Get all posts
-      const allPosts = await PostService.getAllPosts();
-      
-      if (!allPosts || !Array.isArray(allPosts)) {
-        console.log('No posts returned or invalid format');
-        return [];
-      }
+      // Get all posts - fresh, so the user's latest changes are in it
+      const allPosts = await PostService.getFullPostList({ fresh: true });
       
       // Filter posts by the current user's ID
       console.log('Filtering posts for user ID:', user.id);
-      const filteredPosts = allPosts.filter(post => post.userId === user.id);
+      const filteredPosts = allPosts.filter(post => String(post.userId) === String(user.id));
       console.log('Filtered posts:', filteredPosts.length);
       
       return filteredPosts;
@@ -45,15 +55,20 @@ export default function UserProfileScreen({ navigation }) {
     }
   };
   
-  // Fetch user profile and their posts
-  const fetchUserData = async () => {
-    setIsLoading(true);
+  // Fetch user profile and their posts - silently when refreshing what is on screen
+  const fetchUserData = async ({ silent = false } = {}) => {
+    if (!silent) {
+      setIsLoading(true);
+    }
     try {
       // Get user profile
       const profileResponse = await getUserProfile();
       setUserProfile(profileResponse);
       console.log('User profile:', profileResponse);
       
+      // Following is known locally, followers only come from the server
+      FollowService.getCounts(user.id).then(counts => setFollowerCount(counts.followers));
+      
       // Fetch user's posts separately
       const posts = await fetchUserPosts();
       setUserPosts(posts);
@@ -72,15 +87,31 @@ export default function UserProfileScreen({ navigation }) {
     fetchUserData();
   }, []);
   
-  // Refresh when screen is focused
+  // Reconcile with the server when coming back to the screen (the first focus is the initial load)
   useEffect(() => {
+    let isFirstFocus = true;
     const unsubscribe = navigation.addListener('focus', () => {
-      fetchUserData();
+      if (isFirstFocus) {
+        isFirstFocus = false;
+        return;
+      }
+      fetchUserData({ silent: true });
     });
     
     return unsubscribe;
   }, [navigation]);
   
+  // Show the user's post changes right away and keep the server's answer
+  useEffect(() => {
+    // New posts always come from this user, edits and deletes only touch posts in the list
+    return OptimisticPosts.subscribe((entries, event) => {
+      setOptimisticEntries(entries);
+      if (event?.status === 'settled') {
+        setUserPosts(current => mergeSettledChange(current, event));
+      }
+    });
+  }, []);
+  
   // Handle logout
   const handleLogout = async () => {
     Alert.alert(
@@ -115,7 +146,7 @@ export default function UserProfileScreen({ navigation }) {
       <View style={styles.centerContainer}>
         <Feather name="alert-circle" size={50} color="#FF6B6B" />
         <Text style={styles.errorText}>{error}</Text>
-        <TouchableOpacity style={styles.retryButton} onPress={fetchUserData}>
+        <TouchableOpacity style={styles.retryButton} onPress={() => fetchUserData()}>
           <Text style={styles.retryButtonText}>Retry</Text>
         </TouchableOpacity>
       </View>
@@ -124,39 +155,18 @@ export default function UserProfileScreen({ navigation }) {
   
   return (
     <ScrollView style={styles.container}>
-      <View style={styles.profileHeader}>
-        <View style={styles.avatarContainer}>
-          <View style={styles.avatar}>
-            <Text style={styles.avatarText}>
-              {user?.name ? user.name.charAt(0).toUpperCase() : '?'}
-            </Text>
-          </View>
-        </View>
-        
-        <Text style={styles.username}>{user?.name || 'User'}</Text>
-        <Text style={styles.email}>{user?.email}</Text>
-        
-        <View style={styles.statsContainer}>
-          <View style={styles.statsItem}>
-            <Text style={styles.statsValue}>{userPosts.length || 0}</Text>
-            <Text style={styles.statsLabel}>Posts</Text>
-          </View>
-          
-          <View style={styles.statsItem}>
-            <Text style={styles.statsValue}>{user?.isAdmin ? 'Admin' : 'User'}</Text>
-            <Text style={styles.statsLabel}>Role</Text>
-          </View>
-          
-          <View style={styles.statsItem}>
-            <Text style={styles.statsValue}>{
-              user?.createdAt 
-                ? new Date(user.createdAt).toLocaleDateString() 
-                : 'N/A'
-            }</Text>
-            <Text style={styles.statsLabel}>Joined</Text>
-          </View>
-        </View>
-      </View>
+      <ProfileHeader
+        name={user?.name}
+        avatarUrl={userProfile?.avatarUrl || userProfile?.avatar || null}
+        subtitle={user?.email}
+        stats={[
+          { label: 'Posts', value: displayedPosts.length || 0 },
+          { label: 'Followers', value: followerCount ?? 'N/A' },
+          { label: 'Following', value: followingIds.length },
+          { label: 'Role', value: user?.isAdmin ? 'Admin' : 'User' },
+          { label: 'Joined', value: user?.createdAt ? new Date(user.createdAt).toLocaleDateString() : 'N/A' }
+        ]}
+      />
       
       <View style={styles.actionsContainer}>
         <TouchableOpacity
@@ -167,6 +177,14 @@ export default function UserProfileScreen({ navigation }) {
           <Text style={styles.actionButtonText}>Create Post</Text>
         </TouchableOpacity>
         
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => navigation.navigate('Drafts')}
+        >
+          <Feather name="file-text" size={20} color="#FF6B6B" />
+          <Text style={styles.actionButtonText}>Drafts</Text>
+        </TouchableOpacity>
+        
         <TouchableOpacity
           style={[styles.actionButton, styles.logoutButton]}
           onPress={handleLogout}
@@ -179,7 +197,7 @@ export default function UserProfileScreen({ navigation }) {
       <View style={styles.postsSection}>
         <Text style={styles.sectionTitle}>My Posts</Text>
         
-        {userPosts.length === 0 ? (
+        {displayedPosts.length === 0 ? (
           <View style={styles.emptyPostsContainer}>
             <Feather name="file-text" size={50} color="#ccc" />
             <Text style={styles.emptyPostsText}>You haven't created any posts yet</Text>
@@ -192,12 +210,13 @@ export default function UserProfileScreen({ navigation }) {
           </View>
         ) : (
           <FlatList
-            data={userPosts}
+            data={displayedPosts}
             keyExtractor={(item) => item.id.toString()}
             renderItem={({ item }) => (
               <TouchableOpacity
-                style={styles.postItem}
+                style={[styles.postItem, item._optimistic && styles.optimisticPostItem]}
                 onPress={() => navigation.navigate('PostDetail', { postId: item.id })}
+                disabled={isOptimisticPostId(item.id)}
               >
                 <View style={styles.postItemHeader}>
                   <Text style={styles.postItemTitle} numberOfLines={1}>
@@ -208,7 +227,7 @@ export default function UserProfileScreen({ navigation }) {
                   </Text>
                 </View>
                 <Text style={styles.postItemExcerpt} numberOfLines={2}>
-                  {item.content}
+                  {stripMarkdown(item.content)}
                 </Text>
               </TouchableOpacity>
             )}
@@ -254,59 +273,6 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: 'bold',
   },
-  profileHeader: {
-    alignItems: 'center',
-    padding: 20,
-    backgroundColor: 'white',
-    borderBottomWidth: 1,
-    borderBottomColor: '#eee',
-  },
-  avatarContainer: {
-    marginBottom: 16,
-  },
-  avatar: {
-    width: 100,
-    height: 100,
-    borderRadius: 50,
-    backgroundColor: '#FF6B6B',
-    justifyContent: 'center',
-    alignItems: 'center',
-  },
-  avatarText: {
-    fontSize: 40,
-    fontWeight: 'bold',
-    color: 'white',
-  },
-  username: {
-    fontSize: 24,
-    fontWeight: 'bold',
-    color: '#333',
-    marginBottom: 4,
-  },
-  email: {
-    fontSize: 16,
-    color: '#666',
-    marginBottom: 16,
-  },
-  statsContainer: {
-    flexDirection: 'row',
-    justifyContent: 'space-around',
-    width: '100%',
-    marginTop: 10,
-  },
-  statsItem: {
-    alignItems: 'center',
-  },
-  statsValue: {
-    fontSize: 18,
-    fontWeight: 'bold',
-    color: '#333',
-  },
-  statsLabel: {
-    fontSize: 14,
-    color: '#666',
-    marginTop: 4,
-  },
   actionsContainer: {
     flexDirection: 'row',
     padding: 16,
@@ -377,6 +343,9 @@ const styles = StyleSheet.create({
     borderLeftWidth: 3,
     borderLeftColor: '#FF6B6B',
   },
+  optimisticPostItem: {
+    opacity: 0.6,
+  },
   postItemHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
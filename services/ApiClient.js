@@ -0,0 +1,147 @@
+// services/ApiClient.js
+import axios from 'axios';
+import Constants from 'expo-constants';
+import { Platform } from 'react-native';
+
+// Read the API settings declared under "extra" in app.json
+const extra = Constants.expoConfig?.extra || {};
+const apiConfig = extra.api || {};
+
+// Active environment - EXPO_PUBLIC_APP_ENV wins over the value in app.json
+export const APP_ENV = process.env.EXPO_PUBLIC_APP_ENV || extra.environment || 'dev';
+
+const profile = apiConfig.profiles?.[APP_ENV] || {};
+
+// Pick the base URL for the current platform, falling back to the local backend
+const resolveBaseUrl = () => {
+  if (Platform.OS === 'android' && profile.androidBaseUrl) {
+    return profile.androidBaseUrl; // Android emulator special IP for host's localhost
+  }
+
+  if (profile.baseUrl) {
+    return profile.baseUrl;
+  }
+
+  return Platform.OS === 'android'
+    ? 'http://10.0.2.2:3000'
+    : 'http://localhost:3000';
+};
+
+export const API_URL = resolveBaseUrl();
+
+// For debugging
+console.log(`ApiClient using API URL (${APP_ENV}):`, API_URL);
+
+// Shared axios instance used for every call to the backend
+const ApiClient = axios.create({
+  baseURL: API_URL,
+  timeout: profile.timeout || apiConfig.timeout || 15000,
+  headers: {
+    'Accept': 'application/json',
+    'Content-Type': 'application/json'
+  }
+});
+
+// Set or clear the Authorization header sent with every request
+export const setAuthToken = (token) => {
+  if (token) {
+    ApiClient.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+  } else {
+    delete ApiClient.defaults.headers.common['Authorization'];
+  }
+};
+
+// Token currently sent with requests, or null when logged out
+export const getAuthToken = () => {
+  const header = ApiClient.defaults.headers.common['Authorization'];
+  return header ? header.replace(/^Bearer\s+/, '') : null;
+};
+
+// Called when the backend rejects the session (registered by AuthContext)
+let sessionExpiredHandler = null;
+
+export const setSessionExpiredHandler = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+// A 401, or a 403 whose message mentions the token, means the JWT is no longer valid
+export const isSessionError = (error) => {
+  const status = error.response?.status;
+  const message = error.response?.data?.message || '';
+
+  if (status === 401) return true;
+  return status === 403 && /token/i.test(message);
+};
+
+// No response at all means the server was never reached (offline, DNS, timeout)
+export const isNetworkError = (error) => {
+  return !!error?.isAxiosError && !error.response && error.code !== 'ERR_CANCELED';
+};
+
+// A timeout may have reached the server - the write could have gone through
+export const isTimeoutError = (error) => {
+  return isNetworkError(error) && (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT');
+};
+
+// Exchanges the refresh token for a new access token (registered by AuthContext).
+// Resolves to the new access token, or null when the session can't be renewed.
+let tokenRefreshHandler = null;
+let refreshPromise = null;
+
+export const setTokenRefreshHandler = (handler) => {
+  tokenRefreshHandler = handler;
+};
+
+// Single-flight refresh: concurrent callers share the same pending request
+export const refreshAccessToken = () => {
+  if (!tokenRefreshHandler) {
+    return Promise.resolve(null);
+  }
+
+  if (!refreshPromise) {
+    refreshPromise = Promise.resolve()
+      .then(() => tokenRefreshHandler())
+      .catch((error) => {
+        console.error('Token refresh failed:', error.response?.data || error.message);
+        return null;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Requests can opt out with { skipSessionCheck: true } (e.g. the login call itself).
+// Rejected requests wait for a token refresh and are replayed once with the new token.
+ApiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const config = error.config;
+
+    if (!isSessionError(error) || !config || config.skipSessionCheck) {
+      return Promise.reject(error);
+    }
+
+    if (!config._retriedAfterRefresh) {
+      const newToken = await refreshAccessToken();
+
+      if (newToken) {
+        console.log('Replaying request after token refresh:', config.url);
+        config._retriedAfterRefresh = true;
+        config.headers['Authorization'] = `Bearer ${newToken}`;
+        return ApiClient(config);
+      }
+    }
+
+    if (sessionExpiredHandler) {
+      console.log('Session rejected by server:', config.url);
+      sessionExpiredHandler(error);
+    }
+
+    return Promise.reject(error);
+  }
+);
+
+export default ApiClient;
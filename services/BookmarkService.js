@@ -0,0 +1,50 @@
+// services/BookmarkService.js
+import ApiClient from './ApiClient';
+import { createSyncedSet } from './SyncedSet';
+
+// Bookmarks are kept locally per viewer first and mirrored to the server when it supports them.
+// Entries are { postId, post, savedAt, synced } keyed by post id.
+const bookmarks = createSyncedSet({
+  name: 'bookmark',
+  storageKey: 'bookmarks',
+  addRequest: (postId, config) => ApiClient.post(`/bookmark/${postId}`, {}, config),
+  removeRequest: (postId, config) => ApiClient.delete(`/bookmark/${postId}`, config),
+  listRequest: (viewerId, config) => ApiClient.get(`/bookmark/all`, config),
+  serverItemId: (item) => item.postId ?? item.Post?.id,
+  // Bookmarks already saved here keep their copy of the post
+  toEntry: (item, localEntry) => localEntry || {
+    postId: String(item.postId ?? item.Post?.id),
+    post: item.Post || null,
+    savedAt: item.createdAt ? new Date(item.createdAt).getTime() : Date.now()
+  }
+});
+
+export default {
+  // Subscribe to bookmark changes - returns an unsubscribe function
+  subscribe: bookmarks.subscribe,
+
+  // Switch to the bookmarks of the logged-in user (null when logged out)
+  setViewer: bookmarks.setViewer,
+
+  // Bookmarked entries, most recently saved first
+  getBookmarks: async () => {
+    return Object.values(bookmarks.getEntries()).sort((a, b) => b.savedAt - a.savedAt);
+  },
+
+  // Save a post (with a copy of its body for offline reading)
+  add: async (post, token) => {
+    const postId = String(post.id);
+    await bookmarks.add(postId, { postId, post, savedAt: Date.now() }, token);
+  },
+
+  // Remove a bookmark
+  remove: bookmarks.remove,
+
+  // Keep the saved copy of a post up to date
+  updateSnapshot: async (post) => {
+    await bookmarks.update(post.id, { post });
+  },
+
+  // Push local changes to the server, then pull the server's list
+  syncWithServer: bookmarks.syncWithServer
+};
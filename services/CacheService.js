@@ -0,0 +1,39 @@
+// services/CacheService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Every cache entry lives under this prefix so it can be told apart from session data
+const CACHE_PREFIX = 'cache:';
+
+export default {
+  // Read a cached entry - resolves to { data, savedAt } or null
+  get: async (key) => {
+    try {
+      const stored = await AsyncStorage.getItem(`${CACHE_PREFIX}${key}`);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error(`Error reading cache ${key}:`, error);
+      return null;
+    }
+  },
+
+  // Store data along with the time it was saved
+  set: async (key, data) => {
+    try {
+      const entry = { data, savedAt: Date.now() };
+      await AsyncStorage.setItem(`${CACHE_PREFIX}${key}`, JSON.stringify(entry));
+      return entry;
+    } catch (error) {
+      console.error(`Error writing cache ${key}:`, error);
+      return null;
+    }
+  },
+
+  // Drop a single entry
+  remove: async (key) => {
+    try {
+      await AsyncStorage.removeItem(`${CACHE_PREFIX}${key}`);
+    } catch (error) {
+      console.error(`Error removing cache ${key}:`, error);
+    }
+  }
+};
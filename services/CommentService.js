@@ -0,0 +1,170 @@
+// services/CommentService.js
+import ApiClient from './ApiClient';
+
+// Set to false once the server answers 404 to /comment/counts
+let countsEndpointSupported = true;
+
+// Comment count from whatever the post payload carries, or null when unknown
+export const getPostCommentCount = (post) => {
+  if (typeof post.commentCount === 'number') return post.commentCount;
+  if (typeof post.commentsCount === 'number') return post.commentsCount;
+  if (Array.isArray(post.Comments)) return post.Comments.length;
+  return null;
+};
+
+// Turn a flat list of comments into a tree using parentId
+export const buildCommentTree = (comments) => {
+  const nodes = new Map(comments.map(comment => [String(comment.id), { ...comment, replies: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parentId != null ? nodes.get(String(node.parentId)) : null;
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const byDate = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+  const sortTree = (list) => {
+    list.sort(byDate);
+    list.forEach(node => sortTree(node.replies));
+    return list;
+  };
+
+  return sortTree(roots);
+};
+
+export default {
+  // Get all comments of a post
+  getCommentsByPost: async (postId) => {
+    try {
+      console.log('Fetching comments for post:', postId);
+      const response = await ApiClient.get(`/comment/post/${postId}`);
+
+      const comments = response.data && response.data.data ? response.data.data : response.data;
+      console.log('Comments received, count:', Array.isArray(comments) ? comments.length : 'unknown format');
+      return Array.isArray(comments) ? comments : [];
+    } catch (error) {
+      console.error(`Error fetching comments for post ${postId}:`, error);
+      console.error('Error details:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Comment counts for several posts at once - resolves to { [postId]: count }
+  getCommentCounts: async (postIds) => {
+    if (!countsEndpointSupported || postIds.length === 0) return {};
+
+    try {
+      const response = await ApiClient.get(`/comment/counts`, {
+        params: { postIds: postIds.join(',') }
+      });
+
+      return response.data && response.data.data ? response.data.data : response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        console.log('Server has no comment counts endpoint');
+        countsEndpointSupported = false;
+      } else {
+        console.error('Error fetching comment counts:', error.response?.data || error.message);
+      }
+      return {};
+    }
+  },
+
+  // Add a comment, or a reply when parentId is set (requires authentication)
+  addComment: async (postId, content, parentId, token) => {
+    try {
+      console.log('Adding comment to post:', postId, 'parent:', parentId);
+
+      const response = await ApiClient.post(
+        `/comment/new`,
+        { postId, content, parentId: parentId || null },
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        }
+      );
+
+      console.log('Add comment response:', response.status);
+      return response.data && response.data.data ? response.data.data : response.data;
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      console.error('Error details:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Edit user's own comment
+  updateOwnComment: async (commentId, content, token) => {
+    try {
+      console.log('Updating own comment:', commentId);
+
+      const response = await ApiClient.put(
+        `/comment/updateOwnComment/${commentId}`,
+        { content },
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        }
+      );
+
+      console.log('Update own comment response:', response.status);
+      return response.data && response.data.data ? response.data.data : response.data;
+    } catch (error) {
+      console.error(`Error updating own comment ${commentId}:`, error);
+      console.error('Error details:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Delete user's own comment
+  deleteOwnComment: async (commentId, token) => {
+    try {
+      console.log('Deleting own comment:', commentId);
+
+      const response = await ApiClient.delete(
+        `/comment/deleteOwnComment/${commentId}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        }
+      );
+
+      console.log('Delete own comment response:', response.status);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting own comment ${commentId}:`, error);
+      console.error('Error details:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Delete any comment (admin only)
+  deleteComment: async (commentId, token) => {
+    try {
+      console.log('Admin deleting comment:', commentId);
+
+      const response = await ApiClient.delete(
+        `/comment/delete/${commentId}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        }
+      );
+
+      console.log('Delete comment response:', response.status);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting comment ${commentId}:`, error);
+      console.error('Error details:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,144 @@
+// services/DeepLinks.js
+import { Platform, Share } from 'react-native';
+import * as Linking from 'expo-linking';
+import Constants from 'expo-constants';
+import { APP_ENV } from './ApiClient';
+
+// Public web address of the app, used for links that should open anywhere - "extra.links.webUrl"
+// in app.json, or "extra.links.profiles.<environment>.webUrl" like the API profiles.
+// Empty by default so shared links use the app scheme. A build that sets one also needs
+// its host in ios.associatedDomains and android.intentFilters to open those links in the app.
+const linksConfig = Constants.expoConfig?.extra?.links || {};
+const WEB_URL = (linksConfig.profiles?.[APP_ENV]?.webUrl ?? linksConfig.webUrl ?? '').replace(/\/+$/, '');
+
+// Ids in links are strings - numeric ones go back to numbers like the API returns
+const toId = (value) => {
+  let decoded = value;
+  try {
+    decoded = decodeURIComponent(value);
+  } catch (error) {
+    // Malformed escapes - keep the raw text
+  }
+  return /^\d+$/.test(decoded) ? Number(decoded) : decoded;
+};
+
+// Paths the app can open - each maps a matched path to a screen of the main stack
+const LINK_ROUTES = [
+  {
+    pattern: /^post\/([^/]+)$/,
+    toRoute: ([, postId]) => ({ name: 'PostDetail', params: { postId: toId(postId) } })
+  },
+  {
+    pattern: /^user\/([^/]+)$/,
+    toRoute: ([, userId]) => ({ name: 'AuthorProfile', params: { userId: toId(userId) } })
+  },
+  {
+    pattern: /^notifications$/,
+    toRoute: () => ({ name: 'Notifications', params: undefined })
+  }
+];
+
+// Route waiting for the main stack (e.g. until the user has logged in)
+let pendingRoute = null;
+const listeners = new Set();
+
+// Path of a link without scheme, host (for web URLs), query or hash - e.g. "post/42"
+// myapp://post/42, myapp:///post/42 and https://<host>/post/42 all give the same path
+const getLinkPath = (url) => {
+  const match = String(url).match(/^([a-z][a-z0-9+.-]*):\/\/([^?#]*)/i);
+  if (!match) return null;
+
+  const [, scheme, rest] = match;
+  // Development builds and Expo Go put the path after "/--/"
+  const devPathIndex = rest.indexOf('/--/');
+  const path = devPathIndex >= 0
+    ? rest.slice(devPathIndex + 4)
+    : /^https?$/i.test(scheme) ? rest.replace(/^[^/]*/, '') : rest;
+  return path.replace(/^\/+|\/+$/g, '');
+};
+
+// The screen a link points to, or null for links the app doesn't know
+export const parseDeepLink = (url) => {
+  if (!url) return null;
+
+  const path = getLinkPath(url);
+  if (path == null) return null;
+
+  for (const linkRoute of LINK_ROUTES) {
+    const match = path.match(linkRoute.pattern);
+    if (match) return linkRoute.toRoute(match);
+  }
+  return null;
+};
+
+// Shareable link to a post - the web address when there is one, the app scheme otherwise
+export const createPostLink = (postId) => {
+  const path = `post/${encodeURIComponent(postId)}`;
+
+  if (Platform.OS === 'web' && typeof window !== 'undefined') {
+    return `${window.location.origin}/${path}`;
+  }
+  return WEB_URL ? `${WEB_URL}/${path}` : Linking.createURL(path);
+};
+
+export default {
+  // Remember the screen an incoming link points to and hand it to the main stack
+  handleUrl: (url) => {
+    const route = parseDeepLink(url);
+    if (!route) return false;
+
+    console.log('Opening link:', url, '->', route.name, route.params);
+    pendingRoute = route;
+    listeners.forEach(listener => listener());
+    return true;
+  },
+
+  // True while a link is waiting to be opened
+  hasPendingLink: () => pendingRoute !== null,
+
+  // Open linked screens with `open(route)` - a link received before subscribing
+  // (like the one that launched the app or one followed while logged out) opens right away.
+  // Returns an unsubscribe function.
+  subscribe: (open) => {
+    const openPending = () => {
+      if (!pendingRoute) return;
+      const route = pendingRoute;
+      pendingRoute = null;
+      open(route);
+    };
+
+    listeners.add(openPending);
+    openPending();
+
+    return () => listeners.delete(openPending);
+  },
+
+  // Share a post through the native share sheet, or copy its link on the web.
+  // Resolves to 'shared', 'copied' or 'dismissed'.
+  sharePost: async (post) => {
+    const url = createPostLink(post.id);
+
+    if (Platform.OS === 'web') {
+      if (typeof navigator !== 'undefined' && navigator.share) {
+        try {
+          await navigator.share({ title: post.title, url });
+          return 'shared';
+        } catch (error) {
+          // Cancelled by the user or refused by the browser - copying still works
+          if (error?.name === 'AbortError') return 'dismissed';
+        }
+      }
+
+      await navigator.clipboard.writeText(url);
+      return 'copied';
+    }
+
+    // iOS shows `url` as a link preview, Android only reads `message`
+    const result = await Share.share(
+      Platform.OS === 'ios'
+        ? { message: post.title, url }
+        : { title: post.title, message: `${post.title}\n${url}` }
+    );
+    return result.action === Share.dismissedAction ? 'dismissed' : 'shared';
+  }
+};
@@ -0,0 +1,73 @@
+// services/DraftService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// All drafts live in one map keyed by user and by what is being written
+const DRAFTS_STORAGE_KEY = 'drafts';
+
+// New posts share one draft slot per user; edits get one per post
+export const getDraftKey = (userId, postId = null) => (
+  postId ? `${userId}:post:${postId}` : `${userId}:new`
+);
+
+const readAll = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(DRAFTS_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading drafts:', error);
+    return {};
+  }
+};
+
+const writeAll = async (drafts) => {
+  try {
+    await AsyncStorage.setItem(DRAFTS_STORAGE_KEY, JSON.stringify(drafts));
+  } catch (error) {
+    console.error('Error saving drafts:', error);
+  }
+};
+
+export default {
+  // Drafts of a user, most recently edited first
+  getDrafts: async (userId) => {
+    const drafts = await readAll();
+    return Object.values(drafts)
+      .filter(draft => draft.userId === userId)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  },
+
+  // Draft for a new post (postId null) or for an edit, or null
+  getDraft: async (userId, postId = null) => {
+    const drafts = await readAll();
+    return drafts[getDraftKey(userId, postId)] || null;
+  },
+
+  // Create or replace a draft
+  saveDraft: async (userId, postId, { title, content, isOwnPost = true }) => {
+    const drafts = await readAll();
+    const key = getDraftKey(userId, postId);
+
+    drafts[key] = {
+      key,
+      userId,
+      postId: postId || null,
+      isOwnPost,
+      title,
+      content,
+      updatedAt: Date.now()
+    };
+
+    await writeAll(drafts);
+    return drafts[key];
+  },
+
+  // Remove a draft once it has been published or discarded
+  deleteDraft: async (userId, postId = null) => {
+    const drafts = await readAll();
+    const key = getDraftKey(userId, postId);
+    if (!drafts[key]) return;
+
+    delete drafts[key];
+    await writeAll(drafts);
+  }
+};
@@ -0,0 +1,147 @@
+// services/EditorTools.js
+import Constants from 'expo-constants';
+import { stripMarkdown } from './MarkdownParser';
+
+// Limits declared under "extra.editor" in app.json
+const editorConfig = Constants.expoConfig?.extra?.editor || {};
+
+export const EDITOR_LIMITS = {
+  maxTitleLength: editorConfig.maxTitleLength || 150,
+  maxContentLength: editorConfig.maxContentLength || 20000,
+  wordsPerMinute: editorConfig.wordsPerMinute || 200
+};
+
+// Toolbar actions - each one either has a Feather icon or a short text label
+export const FORMATS = [
+  { key: 'bold', icon: 'bold', label: 'Bold' },
+  { key: 'italic', icon: 'italic', label: 'Italic' },
+  { key: 'code', icon: 'code', label: 'Code' },
+  { key: 'link', icon: 'link', label: 'Link' },
+  { key: 'bulletList', icon: 'list', label: 'Bulleted list' },
+  { key: 'numberedList', text: '1.', label: 'Numbered list' }
+];
+
+const PLACEHOLDERS = {
+  bold: 'bold text',
+  italic: 'italic text',
+  code: 'code',
+  link: 'link text'
+};
+
+// Wrap the selection in prefix/suffix, or unwrap it when it is already wrapped
+const wrapSelection = (text, { start, end }, prefix, suffix, placeholder) => {
+  const before = text.slice(0, start);
+  const selected = text.slice(start, end);
+  const after = text.slice(end);
+
+  if (selected && before.endsWith(prefix) && after.startsWith(suffix)) {
+    return {
+      text: before.slice(0, -prefix.length) + selected + after.slice(suffix.length),
+      selection: { start: start - prefix.length, end: end - prefix.length }
+    };
+  }
+
+  const inner = selected || placeholder;
+  return {
+    text: before + prefix + inner + suffix + after,
+    selection: { start: start + prefix.length, end: start + prefix.length + inner.length }
+  };
+};
+
+const formatLink = (text, { start, end }) => {
+  const before = text.slice(0, start);
+  const selected = text.slice(start, end);
+  const after = text.slice(end);
+
+  // A selected URL becomes the target, otherwise the selection is the link text
+  if (/^https?:\/\/\S+$/.test(selected)) {
+    const label = PLACEHOLDERS.link;
+    return {
+      text: `${before}[${label}](${selected})${after}`,
+      selection: { start: start + 1, end: start + 1 + label.length }
+    };
+  }
+
+  const label = selected || PLACEHOLDERS.link;
+  const url = 'https://';
+  const urlStart = start + label.length + 3;
+  return {
+    text: `${before}[${label}](${url})${after}`,
+    selection: { start: urlStart, end: urlStart + url.length }
+  };
+};
+
+// Expand a range to cover the whole lines it touches
+const lineRange = (text, { start, end }) => {
+  const nextBreak = text.indexOf('\n', end);
+  return {
+    start: text.lastIndexOf('\n', start - 1) + 1,
+    end: nextBreak === -1 ? text.length : nextBreak
+  };
+};
+
+const LIST_PREFIXES = {
+  bulletList: /^(\s*)[-*+]\s+/,
+  numberedList: /^(\s*)\d+[.)]\s+/
+};
+
+// Turn every line touched by the selection into a list item, or back into plain lines
+const formatList = (text, range, format) => {
+  const { start: lineStart, end: lineEnd } = lineRange(text, range);
+
+  const lines = text.slice(lineStart, lineEnd).split('\n');
+  const prefixPattern = LIST_PREFIXES[format];
+  const isList = lines.every(line => !line.trim() || prefixPattern.test(line));
+
+  let number = 0;
+  const block = lines
+    .map(line => {
+      if (isList) return line.replace(prefixPattern, '$1');
+      if (!line.trim() && lines.length > 1) return line;
+
+      number++;
+      const content = line.replace(LIST_PREFIXES.bulletList, '$1').replace(LIST_PREFIXES.numberedList, '$1');
+      return format === 'numberedList' ? `${number}. ${content}` : `- ${content}`;
+    })
+    .join('\n');
+
+  return {
+    text: text.slice(0, lineStart) + block + text.slice(lineEnd),
+    selection: { start: lineStart + block.length, end: lineStart + block.length }
+  };
+};
+
+// Apply a toolbar action - returns the new text and the selection to put back in the input
+export const applyFormat = (text, selection, format) => {
+  const range = {
+    start: Math.min(selection.start, selection.end),
+    end: Math.max(selection.start, selection.end)
+  };
+
+  switch (format) {
+    case 'bold':
+      return wrapSelection(text, range, '**', '**', PLACEHOLDERS.bold);
+    case 'italic':
+      return wrapSelection(text, range, '*', '*', PLACEHOLDERS.italic);
+    case 'code':
+      // Multi-line selections become a fenced block around the whole lines
+      return text.slice(range.start, range.end).includes('\n')
+        ? wrapSelection(text, lineRange(text, range), '```\n', '\n```', PLACEHOLDERS.code)
+        : wrapSelection(text, range, '`', '`', PLACEHOLDERS.code);
+    case 'link':
+      return formatLink(text, range);
+    case 'bulletList':
+    case 'numberedList':
+      return formatList(text, range, format);
+    default:
+      return { text, selection: range };
+  }
+};
+
+// Words as a reader sees them, without the Markdown syntax
+export const countWords = (text) => (stripMarkdown(text).match(/\S+/g) || []).length;
+
+// Reading time in whole minutes, at least one for any non-empty post
+export const estimateReadingMinutes = (wordCount) => (
+  wordCount > 0 ? Math.max(1, Math.ceil(wordCount / EDITOR_LIMITS.wordsPerMinute)) : 0
+);
@@ -0,0 +1,137 @@
+// services/FeedPreferences.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getPostTags } from './TagService';
+
+const FEED_PREFERENCES_KEY = 'feedPreferences';
+
+export const SORT_OPTIONS = [
+  { key: 'newest', label: 'Newest first' },
+  { key: 'oldest', label: 'Oldest first' },
+  { key: 'updated', label: 'Recently updated' },
+  { key: 'title', label: 'Title A–Z' }
+];
+
+// Feed tabs - "following" only shows authors the user follows
+export const FEEDS = [
+  { key: 'all', label: 'All' },
+  { key: 'following', label: 'Following' }
+];
+
+// Preset date ranges - value is the window length in days
+export const DATE_RANGES = [
+  { key: 'today', label: 'Today', days: 1 },
+  { key: 'week', label: 'Past week', days: 7 },
+  { key: 'month', label: 'Past month', days: 30 },
+  { key: 'year', label: 'Past year', days: 365 }
+];
+
+export const DEFAULT_FEED_OPTIONS = {
+  feed: 'all',      // one of the FEEDS keys
+  sort: 'newest',
+  onlyMine: false,
+  author: null,     // { id, name }
+  dateRange: null,  // one of the DATE_RANGES keys
+  tag: null
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most followed authors sent in the query string - past that the URL gets too long
+// and the Following feed is filtered on the client instead
+const MAX_FOLLOWED_IDS_PARAM = 50;
+
+const timeOf = (value) => (value ? new Date(value).getTime() : 0);
+
+const comparators = {
+  newest: (a, b) => timeOf(b.createdAt) - timeOf(a.createdAt),
+  oldest: (a, b) => timeOf(a.createdAt) - timeOf(b.createdAt),
+  updated: (a, b) => timeOf(b.updatedAt || b.createdAt) - timeOf(a.updatedAt || a.createdAt),
+  title: (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' })
+};
+
+// Start of the selected date window, or null for any date
+export const getDateRangeStart = (dateRange, now = Date.now()) => {
+  const range = DATE_RANGES.find(item => item.key === dateRange);
+  return range ? now - range.days * DAY_MS : null;
+};
+
+// "Only mine" and the author filter are the same filter - only one may be set, and
+// "only mine" wins in options saved before that was enforced
+export const normalizeFeedOptions = (options) => (
+  options.onlyMine && options.author ? { ...options, author: null } : options
+);
+
+// Id of the author the feed is narrowed to, or null
+const filteredAuthorId = (options, currentUser) => {
+  if (options.onlyMine) return currentUser ? currentUser.id : null;
+  return options.author ? options.author.id : null;
+};
+
+// True when anything other than the sort order is narrowing the feed
+export const hasActiveFilters = (options) => {
+  return options.onlyMine || !!options.author || !!options.dateRange || !!options.tag;
+};
+
+// Sort and filter posts on the client (servers may ignore the query parameters).
+// followedIds are the ids of the authors the user follows, for the Following feed.
+export const applyFeedOptions = (posts, options, currentUser = null, followedIds = []) => {
+  const since = getDateRangeStart(options.dateRange);
+  const followed = new Set(followedIds.map(String));
+  const authorId = filteredAuthorId(options, currentUser);
+
+  const filtered = posts.filter(post => {
+    if (options.feed === 'following' && !followed.has(String(post.userId))) return false;
+    if (options.onlyMine && !currentUser) return false;
+    if (authorId != null && String(post.userId) !== String(authorId)) return false;
+    if (since && timeOf(post.createdAt) < since) return false;
+    if (options.tag && !getPostTags(post).includes(options.tag)) return false;
+    return true;
+  });
+
+  const comparator = comparators[options.sort] || comparators.newest;
+  return [...filtered].sort(comparator);
+};
+
+// True when posts from the server are already sorted and filtered as asked - false
+// means the server ignored the query parameters and the client has to do it
+export const matchesFeedOptions = (posts, options, currentUser = null, followedIds = []) => {
+  const applied = applyFeedOptions(posts, options, currentUser, followedIds);
+  return applied.length === posts.length && applied.every((post, index) => post === posts[index]);
+};
+
+// Query parameters for servers that can sort and filter themselves
+export const toQueryParams = (options, currentUser = null, followedIds = []) => {
+  const params = {};
+  const since = getDateRangeStart(options.dateRange);
+
+  if (options.feed === 'following' && followedIds.length <= MAX_FOLLOWED_IDS_PARAM) {
+    params.userIds = followedIds.join(',');
+  }
+  if (options.sort && options.sort !== DEFAULT_FEED_OPTIONS.sort) params.sort = options.sort;
+  const authorId = filteredAuthorId(options, currentUser);
+  if (authorId != null) params.userId = authorId;
+  if (since) params.from = new Date(since).toISOString();
+  if (options.tag) params.tag = options.tag;
+
+  return params;
+};
+
+export default {
+  load: async () => {
+    try {
+      const stored = await AsyncStorage.getItem(FEED_PREFERENCES_KEY);
+      return stored ? normalizeFeedOptions({ ...DEFAULT_FEED_OPTIONS, ...JSON.parse(stored) }) : DEFAULT_FEED_OPTIONS;
+    } catch (error) {
+      console.error('Error loading feed preferences:', error);
+      return DEFAULT_FEED_OPTIONS;
+    }
+  },
+
+  save: async (options) => {
+    try {
+      await AsyncStorage.setItem(FEED_PREFERENCES_KEY, JSON.stringify(options));
+    } catch (error) {
+      console.error('Error saving feed preferences:', error);
+    }
+  }
+};
@@ -0,0 +1,74 @@
+// services/FollowService.js
+import ApiClient from './ApiClient';
+import { createSyncedSet, listFrom } from './SyncedSet';
+
+// Users in a follow list may come as users or as { Following: user } / { Follower: user } rows
+const toUser = (item) => item.Following || item.Follower || item.User || item;
+
+// Follows are cached per viewer so the toggle is instant and works offline,
+// then mirrored to the server when it supports them.
+// Entries are { id, name, followedAt, synced } keyed by author id.
+const follows = createSyncedSet({
+  name: 'follow',
+  storageKey: 'follows',
+  addRequest: (authorId, config) => ApiClient.post(`/user/${authorId}/follow`, {}, config),
+  removeRequest: (authorId, config) => ApiClient.delete(`/user/${authorId}/follow`, config),
+  listRequest: (viewerId, config) => ApiClient.get(`/user/${viewerId}/following`, config),
+  serverItemId: (item) => toUser(item).id,
+  toEntry: (item, localEntry) => {
+    const author = toUser(item);
+    return { id: author.id, name: author.name, followedAt: localEntry?.followedAt || Date.now() };
+  }
+});
+
+export default {
+  // Subscribe to follow changes - listener receives { [authorId]: entry }.
+  // Returns an unsubscribe function.
+  subscribe: follows.subscribe,
+
+  // Switch to the follows of the logged-in user (null when logged out)
+  setViewer: follows.setViewer,
+
+  isFollowing: follows.has,
+
+  // Follow an author ({ id, name })
+  follow: async (author, token) => {
+    await follows.add(author.id, { id: author.id, name: author.name, followedAt: Date.now() }, token);
+  },
+
+  // Stop following an author
+  unfollow: follows.remove,
+
+  // Push local changes to the server, then pull the viewer's follow list
+  syncWithServer: follows.syncWithServer,
+
+  // Follower and following counts of a user - { followers, following } with null for
+  // anything unknown. Counts sent with the profile are used as they are.
+  getCounts: async (userId, profile = null) => {
+    const counts = {
+      followers: profile?.followerCount ?? null,
+      following: profile?.followingCount ?? null
+    };
+    if (counts.followers !== null && counts.following !== null) return counts;
+
+    if (follows.isServerSupported()) {
+      const [followers, following] = await Promise.all(
+        ['followers', 'following'].map(async (list) => {
+          let users = null;
+          await follows.callServer(async () => {
+            users = listFrom(await ApiClient.get(`/user/${userId}/${list}`));
+          });
+          return users;
+        })
+      );
+      if (followers) counts.followers = counts.followers ?? followers.length;
+      if (following) counts.following = counts.following ?? following.length;
+    }
+
+    // Without the server only the viewer's own following count is known
+    if (counts.following === null && String(userId) === String(follows.getViewerId())) {
+      counts.following = Object.keys(follows.getEntries()).length;
+    }
+    return counts;
+  }
+};
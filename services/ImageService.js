@@ -0,0 +1,103 @@
+// services/ImageService.js
+import * as ImagePicker from 'expo-image-picker';
+import { Alert, Platform } from 'react-native';
+import { API_URL } from './ApiClient';
+
+// Most images a single post can carry
+export const MAX_ATTACHMENTS = 6;
+
+// Images of a post as [{ id, url }], whatever casing the backend uses
+export const getPostImages = (post) => {
+  const images = post?.images || post?.Images || [];
+  return images
+    .filter(image => image && (image.url || image.path))
+    .map(image => ({ id: image.id, url: image.url || image.path }));
+};
+
+// Image URLs from the server may be relative to the API
+export const resolveImageUrl = (url) => {
+  if (!url) return null;
+  if (/^(https?:|file:|content:|data:|blob:)/i.test(url)) return url;
+  return `${API_URL}${url.startsWith('/') ? '' : '/'}${url}`;
+};
+
+// Attachments picked on this device that still have to be uploaded
+export const isLocalAttachment = (attachment) => !!attachment.uri;
+
+export const hasPendingUploads = (postData) => (
+  Array.isArray(postData?.attachments) && postData.attachments.some(isLocalAttachment)
+);
+
+// Multipart body for a post with attachments. "attachments" lists the final order:
+// { id } keeps an existing image, { upload: n } is the n-th file sent under "images".
+export const buildPostFormData = (postData) => {
+  const formData = new FormData();
+  const order = [];
+  let uploadIndex = 0;
+
+  Object.entries(postData).forEach(([key, value]) => {
+    if (key === 'attachments' || value === undefined || value === null) return;
+    formData.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  });
+
+  postData.attachments.forEach(attachment => {
+    if (!isLocalAttachment(attachment)) {
+      order.push({ id: attachment.id });
+      return;
+    }
+
+    // Web pickers hand back a File, native ones a local URI
+    formData.append('images', attachment.file || {
+      uri: attachment.uri,
+      name: attachment.fileName,
+      type: attachment.mimeType
+    });
+    order.push({ upload: uploadIndex++ });
+  });
+
+  formData.append('attachments', JSON.stringify(order));
+  return formData;
+};
+
+export default {
+  // Let the user pick up to `limit` images from the library - resolves to new attachments
+  pickImages: async (limit = MAX_ATTACHMENTS) => {
+    if (limit <= 0) {
+      Alert.alert('Limit Reached', `A post can have up to ${MAX_ATTACHMENTS} images`);
+      return [];
+    }
+
+    if (Platform.OS !== 'web') {
+      const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (!permission.granted) {
+        Alert.alert('Permission Needed', 'Allow access to your photos to attach images');
+        return [];
+      }
+    }
+
+    try {
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ['images'],
+        allowsMultipleSelection: true,
+        selectionLimit: limit,
+        quality: 0.8
+      });
+
+      if (result.canceled) return [];
+
+      return result.assets.slice(0, limit).map((asset, index) => ({
+        key: `local-${Date.now()}-${index}`,
+        uri: asset.uri,
+        file: asset.file,
+        fileName: asset.fileName || `image-${Date.now()}-${index}.jpg`,
+        mimeType: asset.mimeType || 'image/jpeg',
+        width: asset.width,
+        height: asset.height
+      }));
+    } catch (error) {
+      console.error('Error picking images:', error);
+      Alert.alert('Error', 'Could not open your photo library');
+      return [];
+    }
+  }
+};
@@ -0,0 +1,87 @@
+// services/LiveFeed.js
+import { AppState } from 'react-native';
+import RealtimeService, { REALTIME_STATUS } from './RealtimeService';
+
+// How often to poll for feed changes while the realtime channel is not open
+const POLL_INTERVAL_MS = 60000;
+
+// Message types sent by the backend on the realtime channel
+export const FEED_EVENTS = {
+  CREATED: 'post-created',
+  UPDATED: 'post-updated',
+  DELETED: 'post-deleted'
+};
+
+// Events carry the post itself, or wrap it as { post } / { data }
+const eventPost = (data) => {
+  const post = data?.post || data?.data || data;
+  return post && post.id != null ? post : null;
+};
+
+const eventPostId = (data) => data?.id ?? data?.postId ?? data?.post?.id ?? null;
+
+export default {
+  // Follow changes to the feed - onCreated(post), onUpdated(post) and onDeleted(postId)
+  // receive realtime events, and poll() is called to catch up whenever the channel
+  // opens and every minute while it is down and the app is in the foreground.
+  // Subscribe only while the feed is on screen. Returns an unsubscribe function.
+  subscribe: ({ onCreated, onUpdated, onDeleted, poll }) => {
+    const unsubscribeEvents = [
+      RealtimeService.subscribe(FEED_EVENTS.CREATED, (data) => {
+        const post = eventPost(data);
+        if (post) onCreated(post);
+      }),
+      RealtimeService.subscribe(FEED_EVENTS.UPDATED, (data) => {
+        const post = eventPost(data);
+        if (post) onUpdated(post);
+      }),
+      RealtimeService.subscribe(FEED_EVENTS.DELETED, (data) => {
+        const postId = eventPostId(data);
+        if (postId != null) onDeleted(postId);
+      })
+    ];
+
+    let pollTimer = null;
+    let isChannelOpen = false;
+    let isForeground = AppState.currentState === 'active';
+
+    const stopPolling = () => {
+      if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+      }
+    };
+
+    const updatePolling = () => {
+      stopPolling();
+      if (!isChannelOpen && isForeground) {
+        pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+      }
+    };
+
+    const unsubscribeStatus = RealtimeService.onStatusChange((status) => {
+      isChannelOpen = status === REALTIME_STATUS.OPEN;
+      if (isChannelOpen) {
+        // Anything that happened while the channel was down
+        poll();
+      }
+      updatePolling();
+    });
+
+    const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+      const wasForeground = isForeground;
+      isForeground = nextState === 'active';
+      if (isForeground && !wasForeground && !isChannelOpen) {
+        poll();
+      }
+      updatePolling();
+    });
+
+    return () => {
+      stopPolling();
+      appStateSubscription.remove();
+      unsubscribeStatus();
+      unsubscribeEvents.forEach(unsubscribe => unsubscribe());
+    };
+  }
+};
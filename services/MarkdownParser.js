@@ -0,0 +1,207 @@
+// services/MarkdownParser.js
+
+// Post content is written in a small Markdown subset and rendered natively by
+// components/MarkdownView. Raw HTML is never rendered - tags are dropped from
+// text and only http(s) and mailto links are ever opened.
+
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+// Returns the URL if it is safe to open, otherwise null
+export const sanitizeUrl = (url) => {
+  if (!url) return null;
+
+  // Browsers ignore control characters and whitespace inside a scheme ("java\nscript:")
+  const normalized = String(url).replace(/[\u0000- \u007F-\u009F]/g, '');
+  const match = normalized.match(/^([a-z][a-z0-9+.-]*:)/i);
+  if (!match || !SAFE_URL_SCHEMES.includes(match[1].toLowerCase())) {
+    return null;
+  }
+
+  return normalized;
+};
+
+// Drop HTML tags and comments so they are neither rendered nor shown as markup
+const stripHtml = (text) => text
+  .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+  .replace(/<!--[\s\S]*?-->/g, '')
+  .replace(/<\/?[a-z][^>]*>/gi, '');
+
+// Code spans, links, autolinks, bold, strikethrough and italics - in that order of precedence
+const INLINE_PATTERN = new RegExp([
+  '`([^`]+)`',
+  '\\[([^\\]]+)\\]\\(\\s*([^()\\s]+(?:\\([^()\\s]*\\)[^()\\s]*)?)(?:\\s+"[^"]*")?\\s*\\)',
+  '(https?:\\/\\/[^\\s<]+[^\\s<.,:;"\')\\]])',
+  '\\*\\*(?=\\S)([\\s\\S]*?\\S)\\*\\*',
+  '__(?=\\S)([\\s\\S]*?\\S)__',
+  '~~(?=\\S)([\\s\\S]*?\\S)~~',
+  '\\*(?=\\S)([^*]*?\\S)\\*',
+  '\\b_(?=\\S)([^_]*?\\S)_\\b'
+].join('|'), 'g');
+
+// Parse inline markup into nodes: { type: 'text' | 'code' | 'link' | 'bold' | 'strike' | 'italic', ... }
+export const parseInline = (text) => {
+  const source = text || '';
+  const nodes = [];
+  const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+  let lastIndex = 0;
+  let match;
+
+  const pushText = (value) => {
+    const clean = stripHtml(value);
+    if (clean) nodes.push({ type: 'text', text: clean });
+  };
+
+  while ((match = pattern.exec(source)) !== null) {
+    pushText(source.slice(lastIndex, match.index));
+    lastIndex = pattern.lastIndex;
+
+    const [, code, linkText, linkUrl, autolink, bold, boldUnderscore, strike, italic, italicUnderscore] = match;
+
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (linkText !== undefined) {
+      nodes.push({ type: 'link', url: sanitizeUrl(linkUrl), children: parseInline(linkText) });
+    } else if (autolink !== undefined) {
+      nodes.push({ type: 'link', url: sanitizeUrl(autolink), children: [{ type: 'text', text: autolink }] });
+    } else if (bold !== undefined || boldUnderscore !== undefined) {
+      nodes.push({ type: 'bold', children: parseInline(bold ?? boldUnderscore) });
+    } else if (strike !== undefined) {
+      nodes.push({ type: 'strike', children: parseInline(strike) });
+    } else {
+      nodes.push({ type: 'italic', children: parseInline(italic ?? italicUnderscore) });
+    }
+  }
+
+  pushText(source.slice(lastIndex));
+  return nodes;
+};
+
+const FENCE_PATTERN = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^\s*>\s?(.*)$/;
+const BULLET_PATTERN = /^(\s*)[-*+]\s+(.*)$/;
+const ORDERED_PATTERN = /^(\s*)(\d+)[.)]\s+(.*)$/;
+
+const isBlockStart = (line) => (
+  FENCE_PATTERN.test(line) ||
+  HEADING_PATTERN.test(line) ||
+  RULE_PATTERN.test(line) ||
+  QUOTE_PATTERN.test(line) ||
+  BULLET_PATTERN.test(line) ||
+  ORDERED_PATTERN.test(line)
+);
+
+// Parse Markdown into blocks:
+// heading { level, text }, paragraph { text }, list { ordered, start, items: [{ text, depth }] },
+// code { language, text }, quote { blocks }, rule
+export const parseMarkdown = (source) => {
+  const lines = (source || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (!line.trim()) {
+      index++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const codeLines = [];
+      index++;
+      while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+        codeLines.push(lines[index]);
+        index++;
+      }
+      index++; // closing fence (or end of content)
+      blocks.push({ type: 'code', language: fence[2] || null, text: codeLines.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      index++;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      blocks.push({ type: 'rule' });
+      index++;
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoteLines = [];
+      while (index < lines.length && QUOTE_PATTERN.test(lines[index])) {
+        quoteLines.push(lines[index].match(QUOTE_PATTERN)[1]);
+        index++;
+      }
+      blocks.push({ type: 'quote', blocks: parseMarkdown(quoteLines.join('\n')) });
+      continue;
+    }
+
+    const ordered = ORDERED_PATTERN.test(line);
+    if (ordered || BULLET_PATTERN.test(line)) {
+      const itemPattern = ordered ? ORDERED_PATTERN : BULLET_PATTERN;
+      const items = [];
+      const start = ordered ? parseInt(line.match(ORDERED_PATTERN)[2], 10) : 1;
+
+      while (index < lines.length && lines[index].trim()) {
+        const item = lines[index].match(itemPattern);
+        if (item) {
+          const indent = item[1].replace(/\t/g, '  ').length;
+          items.push({ text: item[item.length - 1], depth: Math.min(Math.floor(indent / 2), 3) });
+        } else if (/^\s+\S/.test(lines[index]) && items.length > 0) {
+          // Indented continuation of the previous item
+          items[items.length - 1].text += `\n${lines[index].trim()}`;
+        } else {
+          break;
+        }
+        index++;
+      }
+
+      blocks.push({ type: 'list', ordered, start, items });
+      continue;
+    }
+
+    // Paragraph - line breaks are kept, posts were written as plain text before Markdown
+    const paragraphLines = [];
+    while (index < lines.length && lines[index].trim() && (paragraphLines.length === 0 || !isBlockStart(lines[index]))) {
+      paragraphLines.push(lines[index]);
+      index++;
+    }
+    blocks.push({ type: 'paragraph', text: paragraphLines.join('\n') });
+  }
+
+  return blocks;
+};
+
+const inlineToPlain = (nodes) => nodes
+  .map(node => (node.children ? inlineToPlain(node.children) : node.text))
+  .join('');
+
+const blocksToPlain = (blocks) => blocks
+  .map(block => {
+    switch (block.type) {
+      case 'heading':
+      case 'paragraph':
+        return inlineToPlain(parseInline(block.text));
+      case 'list':
+        return block.items.map(item => inlineToPlain(parseInline(item.text))).join('\n');
+      case 'code':
+        return block.text;
+      case 'quote':
+        return blocksToPlain(block.blocks);
+      default:
+        return '';
+    }
+  })
+  .filter(Boolean)
+  .join('\n');
+
+// Plain text version of Markdown content for excerpts and previews
+export const stripMarkdown = (source) => blocksToPlain(parseMarkdown(source));
@@ -0,0 +1,190 @@
+// services/NotificationService.js
+import ApiClient from './ApiClient';
+import RealtimeService, { REALTIME_STATUS } from './RealtimeService';
+
+// How often to poll while the realtime channel is not open
+const POLL_INTERVAL_MS = 30000;
+
+// Keep at most this many notifications in memory
+const MAX_NOTIFICATIONS = 100;
+
+// Set to false once the server answers 404 to /notification/all
+let serverSupported = true;
+
+// Newest first: [{ id, type, postId, actor, message, read, createdAt }]
+let notifications = [];
+let pollTimer = null;
+let stopRealtime = null;
+const listeners = new Set();
+
+const notify = () => {
+  listeners.forEach(listener => listener(notifications));
+};
+
+const authHeaders = (token) => ({
+  headers: {
+    'Authorization': `Bearer ${token}`
+  }
+});
+
+// What happened, in the words shown in the list
+const DEFAULT_MESSAGES = {
+  reaction: 'reacted to your post',
+  comment: 'commented on your post',
+  edit: 'edited your post'
+};
+
+const normalizeNotification = (item) => {
+  const actor = item.actor || item.Actor || item.User || null;
+  const type = item.type || 'comment';
+  return {
+    id: String(item.id),
+    type,
+    postId: item.postId ?? item.Post?.id ?? null,
+    postTitle: item.Post?.title || item.postTitle || null,
+    actor: actor ? { id: actor.id, name: actor.name } : null,
+    message: item.message || DEFAULT_MESSAGES[type] || 'updated your post',
+    read: !!(item.read ?? item.isRead ?? item.readAt),
+    createdAt: item.createdAt
+  };
+};
+
+const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+// Merge fresh notifications into the list - the server's copy wins
+const mergeNotifications = (incoming) => {
+  const byId = {};
+  notifications.forEach(item => { byId[item.id] = item; });
+  incoming.forEach(item => { byId[item.id] = item; });
+
+  notifications = Object.values(byId).sort(newestFirst).slice(0, MAX_NOTIFICATIONS);
+  notify();
+};
+
+const setRead = (ids) => {
+  const idSet = new Set(ids);
+  notifications = notifications.map(item => (idSet.has(item.id) ? { ...item, read: true } : item));
+  notify();
+};
+
+const stopPolling = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+const NotificationService = {
+  // Subscribe to the notification list - returns an unsubscribe function
+  subscribe: (listener) => {
+    listeners.add(listener);
+    listener(notifications);
+
+    return () => listeners.delete(listener);
+  },
+
+  isSupported: () => serverSupported,
+
+  // Fetch the latest notifications from the server
+  fetchNotifications: async (token) => {
+    if (!serverSupported || !token) return notifications;
+
+    try {
+      const response = await ApiClient.get(`/notification/all`, authHeaders(token));
+      const payload = response.data && response.data.data ? response.data.data : response.data;
+      mergeNotifications((Array.isArray(payload) ? payload : []).map(normalizeNotification));
+    } catch (error) {
+      if (error.response?.status === 404) {
+        console.log('Server has no notifications endpoint');
+        serverSupported = false;
+        stopPolling();
+        notify();
+      } else {
+        console.error('Error fetching notifications:', error.response?.data || error.message);
+      }
+    }
+
+    return notifications;
+  },
+
+  // Mark one notification as read - shown right away, reverted if the server refuses
+  markRead: async (notificationId, token) => {
+    const item = notifications.find(notification => notification.id === String(notificationId));
+    if (!item || item.read) return;
+
+    setRead([item.id]);
+    try {
+      await ApiClient.put(`/notification/${item.id}/read`, {}, authHeaders(token));
+    } catch (error) {
+      console.error(`Error marking notification ${item.id} as read:`, error.response?.data || error.message);
+      notifications = notifications.map(notification => (
+        notification.id === item.id ? { ...notification, read: false } : notification
+      ));
+      notify();
+      throw error;
+    }
+  },
+
+  // Mark every notification as read
+  markAllRead: async (token) => {
+    const unreadIds = notifications.filter(item => !item.read).map(item => item.id);
+    if (unreadIds.length === 0) return;
+
+    setRead(unreadIds);
+    try {
+      await ApiClient.put(`/notification/read-all`, {}, authHeaders(token));
+    } catch (error) {
+      console.error('Error marking all notifications as read:', error.response?.data || error.message);
+      const unread = new Set(unreadIds);
+      notifications = notifications.map(item => (unread.has(item.id) ? { ...item, read: false } : item));
+      notify();
+      throw error;
+    }
+  },
+
+  // Start receiving notifications: over the realtime channel when it is open,
+  // polling otherwise. Returns a function that stops everything.
+  start: (token) => {
+    NotificationService.stop();
+    NotificationService.fetchNotifications(token);
+
+    const unsubscribeMessages = RealtimeService.subscribe('notification', (data) => {
+      if (data) mergeNotifications([normalizeNotification(data)]);
+    });
+
+    const unsubscribeStatus = RealtimeService.onStatusChange((realtimeStatus) => {
+      stopPolling();
+      if (!serverSupported) return;
+
+      if (realtimeStatus === REALTIME_STATUS.OPEN) {
+        // Catch up on anything sent while the channel was down
+        NotificationService.fetchNotifications(token);
+      } else {
+        pollTimer = setInterval(() => NotificationService.fetchNotifications(token), POLL_INTERVAL_MS);
+      }
+    });
+
+    stopRealtime = () => {
+      unsubscribeMessages();
+      unsubscribeStatus();
+    };
+    return NotificationService.stop;
+  },
+
+  // Stop polling and listening - the list is kept until clear()
+  stop: () => {
+    stopPolling();
+    if (stopRealtime) {
+      stopRealtime();
+      stopRealtime = null;
+    }
+  },
+
+  // Forget the list (on logout)
+  clear: () => {
+    notifications = [];
+    notify();
+  }
+};
+
+export default NotificationService;
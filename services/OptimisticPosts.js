@@ -0,0 +1,194 @@
+// services/OptimisticPosts.js
+
+// Post changes shown before the server confirms them. Screens lay the entries over
+// their own lists, then merge the server's answer (or drop the entry on failure).
+
+const OPTIMISTIC_ID_PREFIX = 'optimistic-';
+
+// How long a delete can still be undone before it is sent
+export const UNDO_DELETE_MS = 5000;
+
+// [{ id, type: 'create' | 'update' | 'delete', postId, post, changes, label, undoUntil }]
+let entries = [];
+let nextEntryId = 1;
+const listeners = new Set();
+
+// entry id -> { timer, resolve } for changes still waiting out their undo period
+const undoWindows = new Map();
+
+// Resolves to true once the delay has passed, or false when the change is undone first
+const waitForUndo = (id, delay) => new Promise(resolve => {
+  const timer = setTimeout(() => {
+    undoWindows.delete(id);
+    resolve(true);
+  }, delay);
+  undoWindows.set(id, { timer, resolve });
+});
+
+const notify = (event = null) => {
+  listeners.forEach(listener => listener(entries, event));
+};
+
+// Placeholder ids used for created posts until the server answers
+export const isOptimisticPostId = (postId) => String(postId).startsWith(OPTIMISTIC_ID_PREFIX);
+
+// The post in a write response, which may come as the post, { data: post } or { post }
+export const getResponsePost = (result) => {
+  if (!result || result.queued) return null;
+
+  const candidate = result.data && typeof result.data === 'object' && !Array.isArray(result.data)
+    ? result.data
+    : result.post || result;
+
+  return candidate && candidate.id != null ? candidate : null;
+};
+
+// Lay unconfirmed changes over a list of posts - created posts first, deleted ones hidden
+export const applyOptimisticChanges = (posts, optimisticEntries) => {
+  if (optimisticEntries.length === 0) return posts;
+
+  const deletedIds = new Set();
+  const changesById = {};
+
+  optimisticEntries.forEach(entry => {
+    const key = String(entry.postId);
+    if (entry.type === 'delete') deletedIds.add(key);
+    if (entry.type === 'update') changesById[key] = { ...changesById[key], ...entry.changes };
+  });
+
+  const updatedPosts = posts
+    .filter(post => !deletedIds.has(String(post.id)))
+    .map(post => (
+      changesById[String(post.id)]
+        ? { ...post, ...changesById[String(post.id)], _optimistic: true }
+        : post
+    ));
+
+  const createdPosts = optimisticEntries
+    .filter(entry => entry.type === 'create')
+    .map(entry => entry.post)
+    .reverse();
+
+  return [...createdPosts, ...updatedPosts];
+};
+
+// Fold a confirmed change into a list of posts
+export const mergeSettledChange = (posts, event) => {
+  switch (event.type) {
+    case 'create':
+      return event.post
+        ? [event.post, ...posts.filter(post => String(post.id) !== String(event.post.id))]
+        : posts;
+    case 'update':
+      return posts.map(post => (
+        String(post.id) === String(event.postId)
+          ? { ...post, ...event.changes, ...(event.post || {}) }
+          : post
+      ));
+    case 'delete':
+      return posts.filter(post => String(post.id) !== String(event.postId));
+    default:
+      return posts;
+  }
+};
+
+export default {
+  // Subscribe to changes - listener(entries, event) where event is null,
+  // { status: 'settled', type, postId, changes, post }, { status: 'undone', type, postId }
+  // or { status: 'failed', type, postId, error }.
+  // Returns an unsubscribe function.
+  subscribe: (listener) => {
+    listeners.add(listener);
+    listener(entries, null);
+
+    return () => listeners.delete(listener);
+  },
+
+  // Show a change right away, send it with `request`, then report the outcome.
+  // With `undoDelay` the request waits that long and can be cancelled with undo().
+  // Resolves to the request's result ({ undone: true } when undone) and rethrows
+  // its error after rolling back.
+  run: async ({ type, postId = null, post = null, changes = null, request, undoDelay = 0, label = null }) => {
+    const id = nextEntryId++;
+    const entry = {
+      id,
+      type,
+      postId,
+      changes,
+      label,
+      undoUntil: undoDelay > 0 ? Date.now() + undoDelay : null,
+      post: type === 'create' ? { ...post, id: `${OPTIMISTIC_ID_PREFIX}${id}`, _optimistic: true } : null
+    };
+
+    entries = [...entries, entry];
+    notify();
+
+    if (undoDelay > 0) {
+      const confirmed = await waitForUndo(id, undoDelay);
+      if (!confirmed) {
+        entries = entries.filter(item => item.id !== id);
+        notify({ status: 'undone', type, postId });
+        return { undone: true };
+      }
+
+      entries = entries.map(item => (item.id === id ? { ...item, undoUntil: null } : item));
+      notify();
+    }
+
+    try {
+      const result = await request();
+      entries = entries.filter(item => item.id !== id);
+
+      // Queued offline writes are shown by the sync queue from here on
+      if (result?.queued) {
+        notify();
+        return result;
+      }
+
+      const responsePost = getResponsePost(result);
+      notify({
+        status: 'settled',
+        type,
+        postId,
+        changes,
+        // Keep what we already know (like the author) when the response is sparse
+        post: responsePost && type === 'create' ? { ...post, ...responsePost } : responsePost
+      });
+      return result;
+    } catch (error) {
+      entries = entries.filter(item => item.id !== id);
+      notify({ status: 'failed', type, postId, error });
+      throw error;
+    }
+  },
+
+  // Send every change still in its undo period now - they only live in memory, so
+  // this runs before the app may be killed in the background
+  sendPending: () => {
+    undoWindows.forEach(undoWindow => {
+      clearTimeout(undoWindow.timer);
+      undoWindow.resolve(true);
+    });
+    undoWindows.clear();
+  },
+
+  // Undo every change still in its undo period (on logout - their requests hold the old token)
+  cancelPending: () => {
+    undoWindows.forEach(undoWindow => {
+      clearTimeout(undoWindow.timer);
+      undoWindow.resolve(false);
+    });
+    undoWindows.clear();
+  },
+
+  // Cancel a change that is still in its undo period - returns false when it was already sent
+  undo: (entryId) => {
+    const undoWindow = undoWindows.get(entryId);
+    if (!undoWindow) return false;
+
+    clearTimeout(undoWindow.timer);
+    undoWindows.delete(entryId);
+    undoWindow.resolve(false);
+    return true;
+  }
+};
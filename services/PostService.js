@@ -1,31 +1,156 @@
 // services/PostService.js
-import axios from 'axios';
-import { Platform } from 'react-native';
+import Constants from 'expo-constants';
+import ApiClient, { API_URL, isNetworkError, isTimeoutError } from './ApiClient';
+import CacheService from './CacheService';
+import SyncQueue from './SyncQueue';
+import { filterPosts } from './SearchService';
+import { buildPostFormData, hasPendingUploads } from './ImageService';
+import RevisionService from './RevisionService';
 
-// API Base URL - dynamic based on platform
-const API_URL = Platform.OS === 'android' 
-  ? 'http://10.0.2.2:3000'  // Android emulator special IP for host's localhost
-  : 'http://localhost:3000'; // iOS simulator or web
+// Cache keys for the posts feed and individual posts
+const POSTS_CACHE_KEY = 'posts:all';
+const postCacheKey = (postId) => `posts:${postId}`;
 
-// For debugging
-console.log('PostService using API URL:', API_URL);
+// Posts per page for the feed
+export const DEFAULT_PAGE_SIZE = 20;
 
-export default {
+// Full list returned by a server that ignores page/limit, with the query it answered -
+// later pages of the same query are sliced from it
+let unpaginated = { queryKey: null, posts: null };
+
+const slicePage = (posts, page, limit) => ({
+  posts: posts.slice((page - 1) * limit, page * limit),
+  page,
+  hasMore: page * limit < posts.length
+});
+
+// Set to false once the server answers 404 to /post/search
+let serverSearchSupported = true;
+
+// Full post list used by client-side fallbacks (search, tags, author pages) - reused for
+// this long, and callers arriving while it loads share the same request
+const FULL_LIST_MAX_AGE_MS = 2 * 60 * 1000;
+let fullList = { posts: null, fetchedAt: 0, request: null };
+
+// Days a deleted post stays in the trash when the server doesn't say ("extra.trash" in app.json)
+export const TRASH_RETENTION_DAYS = Constants.expoConfig?.extra?.trash?.retentionDays || 30;
+
+// Set to false once the server answers 404 to the reactions endpoints
+let reactionsSupported = true;
+
+// Set to false once the server answers 404 to /post/reactions (summaries for many posts)
+let reactionSummariesSupported = true;
+
+// The fixed set of reactions a post can receive - "like" is the default one
+export const REACTIONS = [
+  { type: 'like', emoji: '👍' },
+  { type: 'love', emoji: '❤️' },
+  { type: 'laugh', emoji: '😂' },
+  { type: 'wow', emoji: '😮' },
+  { type: 'sad', emoji: '😢' }
+];
+
+// Normalise a reactions payload into { counts: { [type]: n }, mine: [type] }.
+// Accepts either a summary object or a list of { type, userId } rows.
+export const toReactionSummary = (payload, userId) => {
+  if (!payload) return null;
+  
+  if (Array.isArray(payload)) {
+    const counts = {};
+    const mine = [];
+    payload.forEach(reaction => {
+      counts[reaction.type] = (counts[reaction.type] || 0) + 1;
+      if (userId != null && reaction.userId === userId) {
+        mine.push(reaction.type);
+      }
+    });
+    return { counts, mine };
+  }
+  
+  return {
+    counts: payload.counts || {},
+    mine: payload.mine || []
+  };
+};
+
+// Reaction summary embedded in a post payload, or null when the server didn't send one
+export const getPostReactionSummary = (post, userId) => {
+  if (post.reactions) return toReactionSummary(post.reactions, userId);
+  if (Array.isArray(post.Reactions)) return toReactionSummary(post.Reactions, userId);
+  return null;
+};
+
+export const isReactionsSupported = () => reactionsSupported;
+
+export const isReactionSummariesSupported = () => reactionsSupported && reactionSummariesSupported;
+
+// A 404 on a reactions call means the backend doesn't have them yet
+const checkReactionsSupport = (error) => {
+  if (error.response?.status === 404) {
+    console.log('Server has no reactions endpoints');
+    reactionsSupported = false;
+  }
+};
+
+// Work out whether more pages exist from whatever pagination metadata the server sent
+const hasMorePages = (pagination, page, limit, received) => {
+  if (typeof pagination.hasMore === 'boolean') return pagination.hasMore;
+  if (pagination.totalPages) return page < pagination.totalPages;
+  if (pagination.total != null) return page * limit < pagination.total;
+  return received === limit;
+};
+
+// Writes made without a connection are queued and resolve to { queued: true, item }
+const queueMutation = async (type, { postId = null, postData = null, meta = {} } = {}) => {
+  const item = await SyncQueue.enqueue({ type, postId, postData, meta });
+  return { queued: true, item };
+};
+
+// Uploads get more time than the default API timeout
+const UPLOAD_TIMEOUT_MS = 120000;
+
+// Body and config for a create/update - multipart when the post carries attachments
+const buildWriteRequest = (postData, token, options = {}) => {
+  const config = {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  };
+
+  if (!Array.isArray(postData?.attachments)) {
+    return [postData, config];
+  }
+
+  config.headers['Content-Type'] = 'multipart/form-data';
+  config.timeout = UPLOAD_TIMEOUT_MS;
+  if (options.onUploadProgress) {
+    config.onUploadProgress = (event) => {
+      if (event.total) options.onUploadProgress(event.loaded / event.total);
+    };
+  }
+
+  return [buildPostFormData(postData), config];
+};
+
+// Offline writes are queued, except ones with images still to upload - the editor retries those
+const shouldQueue = (error, postData, options) => (
+  !options.fromQueue && isNetworkError(error) && !hasPendingUploads(postData)
+);
+
+const PostService = {
   // Get all posts
   getAllPosts: async () => {
     try {
       console.log('Fetching all posts from:', `${API_URL}/post/all`);
-      const response = await axios.get(`${API_URL}/post/all`);
+      const response = await ApiClient.get(`/post/all`);
       console.log('Posts API response status:', response.status);
       
       // Check response structure
-      if (response.data && response.data.data) {
-        console.log('Posts received, count:', response.data.data.length);
-        return response.data.data;
-      }
+      const posts = response.data && response.data.data ? response.data.data : response.data;
+      console.log('Posts received, count:', Array.isArray(posts) ? posts.length : 'unknown format');
       
-      console.log('Posts received, count:', Array.isArray(response.data) ? response.data.length : 'unknown format');
-      return response.data;
+      // Not cached - the offline feed cache only holds the first page (see getPostsPage)
+      return posts;
     } catch (error) {
       console.error('Error fetching posts:', error);
       console.error('Error details:', error.response?.data || error.message);
@@ -33,21 +158,131 @@ export default {
     }
   },
   
+  // Get one page of posts - resolves to { posts, page, hasMore }.
+  // Extra params (sort, filters) are passed through for servers that support them.
+  getPostsPage: async ({ page = 1, limit = DEFAULT_PAGE_SIZE, params = {} } = {}) => {
+    try {
+      const queryKey = JSON.stringify(params);
+      if (page === 1) {
+        unpaginated = { queryKey: null, posts: null };
+      } else if (unpaginated.posts && unpaginated.queryKey === queryKey) {
+        return slicePage(unpaginated.posts, page, limit);
+      }
+      
+      console.log('Fetching posts page:', page, 'limit:', limit);
+      const response = await ApiClient.get(`/post/all`, {
+        params: { ...params, page, limit }
+      });
+      
+      const body = response.data;
+      const posts = Array.isArray(body) ? body : (body?.data || []);
+      const pagination = Array.isArray(body) ? null : (body?.pagination || body?.meta || null);
+      
+      let result;
+      if (pagination) {
+        unpaginated = { queryKey: null, posts: null };
+        result = { posts, page, hasMore: hasMorePages(pagination, page, limit, posts.length) };
+      } else if (posts.length > limit) {
+        // The server sent everything - serve pages from memory
+        console.log('Server ignored pagination, received:', posts.length);
+        unpaginated = { queryKey, posts };
+        result = slicePage(posts, page, limit);
+      } else {
+        result = { posts, page, hasMore: posts.length === limit };
+      }
+      
+      // Keep the unfiltered first page for offline use
+      if (page === 1 && Object.keys(params).length === 0) {
+        await CacheService.set(POSTS_CACHE_KEY, result.posts);
+      }
+      
+      return result;
+    } catch (error) {
+      console.error(`Error fetching posts page ${page}:`, error);
+      console.error('Error details:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+  
+  // Every post, for filtering on the client when the server can't do it. `fresh`
+  // skips the reused copy (a request already on its way is still shared).
+  getFullPostList: async ({ fresh = false } = {}) => {
+    if (!fresh && fullList.posts && Date.now() - fullList.fetchedAt < FULL_LIST_MAX_AGE_MS) {
+      return fullList.posts;
+    }
+    
+    if (!fullList.request) {
+      fullList.request = (async () => {
+        try {
+          console.log('Fetching the full post list for local filtering');
+          const response = await ApiClient.get(`/post/all`);
+          const posts = response.data && response.data.data ? response.data.data : response.data;
+          fullList = { posts: Array.isArray(posts) ? posts : [], fetchedAt: Date.now(), request: null };
+          return fullList.posts;
+        } catch (error) {
+          fullList.request = null;
+          console.error('Error fetching the full post list:', error.response?.data || error.message);
+          throw error;
+        }
+      })();
+    }
+    
+    return fullList.request;
+  },
+  
+  // Search posts by title, content and author. Uses the backend search when it
+  // exists and otherwise filters the full list (or the cached feed when offline).
+  searchPosts: async (query) => {
+    const trimmed = (query || '').trim();
+    if (!trimmed) return [];
+    
+    if (serverSearchSupported) {
+      try {
+        console.log('Searching posts on server:', trimmed);
+        const response = await ApiClient.get(`/post/search`, {
+          params: { q: trimmed }
+        });
+        
+        return response.data && response.data.data ? response.data.data : response.data;
+      } catch (error) {
+        if (error.response?.status !== 404) {
+          console.error('Error searching posts:', error.response?.data || error.message);
+        } else {
+          console.log('Server has no search endpoint, filtering locally');
+          serverSearchSupported = false;
+        }
+      }
+    }
+    
+    try {
+      const allPosts = await PostService.getFullPostList();
+      return filterPosts(allPosts, trimmed);
+    } catch (error) {
+      const cached = await PostService.getCachedPosts();
+      if (cached) {
+        return filterPosts(cached.data, trimmed);
+      }
+      throw error;
+    }
+  },
+  
   // Get a single post by ID
   getPostById: async (postId) => {
     try {
       console.log('Fetching post with ID:', postId);
-      const response = await axios.get(`${API_URL}/post/${postId}`);
+      const response = await ApiClient.get(`/post/${postId}`);
       console.log('Post detail response status:', response.status);
       
       // Check response structure
-      if (response.data && response.data.data) {
-        console.log('Post details received:', response.data.data.id);
-        return response.data.data;
+      const post = response.data && response.data.data ? response.data.data : response.data;
+      console.log('Post details received:', post?.id);
+      
+      // Keep a copy for offline use
+      if (post) {
+        await CacheService.set(postCacheKey(postId), post);
       }
       
-      console.log('Post details received:', response.data.id);
-      return response.data;
+      return post;
     } catch (error) {
       console.error(`Error fetching post ${postId}:`, error);
       console.error('Error details:', error.response?.data || error.message);
@@ -55,26 +290,156 @@ export default {
     }
   },
   
-  // Create a new post (requires authentication)
-  createPost: async (postData, token) => {
+  // Reactions of a post - resolves to { counts, mine } or null when unsupported
+  getReactions: async (postId, userId) => {
+    if (!reactionsSupported) return null;
+    
     try {
-      console.log('Creating post with data:', postData);
-      console.log('Using token:', token ? 'Token exists' : 'No token');
+      const response = await ApiClient.get(`/post/${postId}/reactions`);
+      const payload = response.data && response.data.data ? response.data.data : response.data;
+      return toReactionSummary(payload, userId);
+    } catch (error) {
+      checkReactionsSupport(error);
+      if (!reactionsSupported) return null;
+      
+      console.error(`Error fetching reactions for post ${postId}:`, error.response?.data || error.message);
+      throw error;
+    }
+  },
+  
+  // Reaction summaries for several posts at once - resolves to { [postId]: summary },
+  // or null when the server can't send them together (fetch them per post then)
+  getReactionSummaries: async (postIds, userId) => {
+    if (!reactionsSupported || !reactionSummariesSupported) return null;
+    if (postIds.length === 0) return {};
+    
+    try {
+      const response = await ApiClient.get(`/post/reactions`, {
+        params: { postIds: postIds.join(',') }
+      });
+      const payload = response.data && response.data.data ? response.data.data : response.data;
       
-      const response = await axios.post(
-        `${API_URL}/post/new`,
-        postData,
+      const summaries = {};
+      Object.entries(payload || {}).forEach(([postId, reactions]) => {
+        summaries[postId] = toReactionSummary(reactions, userId);
+      });
+      return summaries;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        console.log('Server has no reaction summaries endpoint');
+        reactionSummariesSupported = false;
+        return null;
+      }
+      
+      console.error('Error fetching reaction summaries:', error.response?.data || error.message);
+      return {};
+    }
+  },
+  
+  // Users who reacted to a post with the given type
+  getReactionUsers: async (postId, type) => {
+    try {
+      const response = await ApiClient.get(`/post/${postId}/reactions`, {
+        params: { type, include: 'users' }
+      });
+      const payload = response.data && response.data.data ? response.data.data : response.data;
+      const reactions = Array.isArray(payload) ? payload : (payload?.users || []);
+      
+      return reactions
+        .filter(reaction => !reaction.type || reaction.type === type)
+        .map(reaction => reaction.User || reaction);
+    } catch (error) {
+      checkReactionsSupport(error);
+      console.error(`Error fetching ${type} reactions for post ${postId}:`, error.response?.data || error.message);
+      throw error;
+    }
+  },
+  
+  // React to a post (requires authentication)
+  addReaction: async (postId, type, token) => {
+    try {
+      console.log('Adding reaction:', type, 'to post:', postId);
+      const response = await ApiClient.post(
+        `/post/${postId}/reactions`,
+        { type },
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        }
+      );
+      
+      return response.data;
+    } catch (error) {
+      checkReactionsSupport(error);
+      console.error(`Error adding reaction to post ${postId}:`, error.response?.data || error.message);
+      throw error;
+    }
+  },
+  
+  // Remove the user's reaction of the given type
+  removeReaction: async (postId, type, token) => {
+    try {
+      console.log('Removing reaction:', type, 'from post:', postId);
+      const response = await ApiClient.delete(
+        `/post/${postId}/reactions/${type}`,
         {
           headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
+            'Authorization': `Bearer ${token}`
           }
         }
       );
       
+      return response.data;
+    } catch (error) {
+      checkReactionsSupport(error);
+      console.error(`Error removing reaction from post ${postId}:`, error.response?.data || error.message);
+      throw error;
+    }
+  },
+  
+  // Save a copy of a post so it can be opened offline
+  cachePost: async (post) => {
+    return CacheService.set(postCacheKey(post.id), post);
+  },
+  
+  // Last saved feed - resolves to { data, savedAt } or null
+  getCachedPosts: async () => {
+    return CacheService.get(POSTS_CACHE_KEY);
+  },
+  
+  // Last saved copy of a post, falling back to its entry in the cached feed
+  getCachedPost: async (postId) => {
+    const cachedPost = await CacheService.get(postCacheKey(postId));
+    if (cachedPost) {
+      return cachedPost;
+    }
+    
+    const cachedPosts = await CacheService.get(POSTS_CACHE_KEY);
+    const post = cachedPosts?.data?.find(item => String(item.id) === String(postId));
+    return post ? { data: post, savedAt: cachedPosts.savedAt } : null;
+  },
+  
+  // Create a new post (requires authentication)
+  createPost: async (postData, token, options = {}) => {
+    try {
+      console.log('Creating post with data:', postData);
+      console.log('Using token:', token ? 'Token exists' : 'No token');
+      
+      const response = await ApiClient.post(
+        `/post/new`,
+        ...buildWriteRequest(postData, token, options)
+      );
+      
       console.log('Create post response:', response.status, response.data);
       return response.data;
     } catch (error) {
+      // A create that timed out may exist on the server already - replaying it could
+      // post it twice, so it fails instead (the editor keeps the text as a draft)
+      if (shouldQueue(error, postData, options) && !isTimeoutError(error)) {
+        return queueMutation('createPost', { postData });
+      }
+      
       console.error('Error creating post:', error);
       console.error('Error details:', error.response?.data || error.message);
       throw error;
@@ -82,26 +447,28 @@ export default {
   },
   
   // Update a post (admin only)
-  updatePost: async (postId, postData, token) => {
+  updatePost: async (postId, postData, token, options = {}) => {
     try {
       console.log('Admin updating post:', postId);
       console.log('With data:', postData);
       console.log('Using token:', token ? 'Token exists' : 'No token');
       
-      const response = await axios.put(
-        `${API_URL}/post/update/${postId}`,
-        postData,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
+      const response = await ApiClient.put(
+        `/post/update/${postId}`,
+        ...buildWriteRequest(postData, token, options)
       );
       
       console.log('Update post response:', response.status, response.data);
       return response.data;
     } catch (error) {
+      if (shouldQueue(error, postData, options)) {
+        return queueMutation('updatePost', {
+          postId,
+          postData,
+          meta: { baseUpdatedAt: options.baseUpdatedAt, editor: options.editor || null }
+        });
+      }
+      
       console.error(`Error updating post ${postId}:`, error);
       console.error('Error details:', error.response?.data || error.message);
       throw error;
@@ -109,26 +476,28 @@ export default {
   },
   
   // Update user's own post
-  updateOwnPost: async (postId, postData, token) => {
+  updateOwnPost: async (postId, postData, token, options = {}) => {
     try {
       console.log('Updating own post:', postId);
       console.log('With data:', postData);
       console.log('Using token:', token ? 'Token exists' : 'No token');
       
-      const response = await axios.put(
-        `${API_URL}/post/updateOwnPost/${postId}`,
-        postData,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
-          }
-        }
+      const response = await ApiClient.put(
+        `/post/updateOwnPost/${postId}`,
+        ...buildWriteRequest(postData, token, options)
       );
       
       console.log('Update own post response:', response.status, response.data);
       return response.data;
     } catch (error) {
+      if (shouldQueue(error, postData, options)) {
+        return queueMutation('updateOwnPost', {
+          postId,
+          postData,
+          meta: { baseUpdatedAt: options.baseUpdatedAt, editor: options.editor || null }
+        });
+      }
+      
       console.error(`Error updating own post ${postId}:`, error);
       console.error('Error details:', error.response?.data || error.message);
       throw error;
@@ -136,13 +505,13 @@ export default {
   },
   
   // Delete a post (admin only)
-  deletePost: async (postId, token) => {
+  deletePost: async (postId, token, options = {}) => {
     try {
       console.log('Admin deleting post:', postId);
       console.log('Using token:', token ? 'Token exists' : 'No token');
       
-      const response = await axios.delete(
-        `${API_URL}/post/delete/${postId}`,
+      const response = await ApiClient.delete(
+        `/post/delete/${postId}`,
         {
           headers: {
             'Authorization': `Bearer ${token}`
@@ -153,6 +522,10 @@ export default {
       console.log('Delete post response:', response.status, response.data);
       return response.data;
     } catch (error) {
+      if (!options.fromQueue && isNetworkError(error)) {
+        return queueMutation('deletePost', { postId });
+      }
+      
       console.error(`Error deleting post ${postId}:`, error);
       console.error('Error details:', error.response?.data || error.message);
       throw error;
@@ -160,13 +533,13 @@ export default {
   },
   
   // Delete user's own post
-  deleteOwnPost: async (postId, token) => {
+  deleteOwnPost: async (postId, token, options = {}) => {
     try {
       console.log('Deleting own post:', postId);
       console.log('Using token:', token ? 'Token exists' : 'No token');
       
-      const response = await axios.delete(
-        `${API_URL}/post/deleteOwnPost/${postId}`,
+      const response = await ApiClient.delete(
+        `/post/deleteOwnPost/${postId}`,
         {
           headers: {
             'Authorization': `Bearer ${token}`
@@ -177,9 +550,125 @@ export default {
       console.log('Delete own post response:', response.status, response.data);
       return response.data;
     } catch (error) {
+      if (!options.fromQueue && isNetworkError(error)) {
+        return queueMutation('deleteOwnPost', { postId });
+      }
+      
       console.error(`Error deleting own post ${postId}:`, error);
       console.error('Error details:', error.response?.data || error.message);
       throw error;
     }
+  },
+  
+  // Posts deleted within the retention period (admin only) - resolves to
+  // { posts, retentionDays }, or null when the server keeps no trash
+  getDeletedPosts: async (token) => {
+    try {
+      const response = await ApiClient.get(
+        `/post/trash`,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        }
+      );
+      
+      const payload = response.data && response.data.data ? response.data.data : response.data;
+      const posts = Array.isArray(payload) ? payload : (payload?.posts || []);
+      return {
+        posts,
+        retentionDays: response.data?.retentionDays || TRASH_RETENTION_DAYS
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        console.log('Server has no trash for deleted posts');
+        return null;
+      }
+      
+      console.error('Error fetching deleted posts:', error);
+      console.error('Error details:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+  
+  // Bring a deleted post back (admin only)
+  restorePost: async (postId, token) => {
+    try {
+      console.log('Restoring post:', postId);
+      const response = await ApiClient.put(
+        `/post/restore/${postId}`,
+        {},
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        }
+      );
+      
+      // The feed cache no longer has this post
+      await CacheService.remove(POSTS_CACHE_KEY);
+      return response.data;
+    } catch (error) {
+      console.error(`Error restoring post ${postId}:`, error);
+      console.error('Error details:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+  
+  // Remove a post from the trash for good (admin only)
+  purgePost: async (postId, token) => {
+    try {
+      console.log('Purging post:', postId);
+      const response = await ApiClient.delete(
+        `/post/trash/${postId}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        }
+      );
+      
+      return response.data;
+    } catch (error) {
+      console.error(`Error purging post ${postId}:`, error);
+      console.error('Error details:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+};
+
+// Replay a queued mutation. Updates first check that nobody changed the post
+// on the server since it was edited offline, unless the user chose to overwrite,
+// and are recorded in the post's history once sent.
+SyncQueue.setExecutor(async (item, token, { force = false } = {}) => {
+  const options = { fromQueue: true };
+  
+  switch (item.type) {
+    case 'createPost':
+      return PostService.createPost(item.postData, token, options);
+    
+    case 'updatePost':
+    case 'updateOwnPost': {
+      const baseUpdatedAt = item.meta?.baseUpdatedAt;
+      
+      // Also the version this edit replaces
+      const serverPost = await PostService.getPostById(item.postId);
+      if (!force && baseUpdatedAt && serverPost?.updatedAt && new Date(serverPost.updatedAt) > new Date(baseUpdatedAt)) {
+        return { conflict: true, serverPost };
+      }
+      
+      const result = await PostService[item.type](item.postId, item.postData, token, options);
+      await RevisionService.recordUpdate(serverPost, item.postData, item.meta?.editor);
+      return result;
+    }
+    
+    case 'deletePost':
+    case 'deleteOwnPost':
+      return PostService[item.type](item.postId, token, options);
+    
+    default:
+      throw new Error(`Unknown queued mutation: ${item.type}`);
   }
-};
\ No newline at end of file
+});
+
+export default PostService;
\ No newline at end of file
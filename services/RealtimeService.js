@@ -0,0 +1,231 @@
+// services/RealtimeService.js
+import { API_URL, getAuthToken } from './ApiClient';
+
+// WebSocket endpoint next to the API, and the Server-Sent Events stream used where
+// sockets can't get through - both send JSON messages { type, data }. The socket is
+// authenticated by its first message, { type: 'auth', data: { token } }, so the token
+// stays out of URLs and logs; EventSource can't send one, so the stream takes it in the query.
+const REALTIME_PATH = '/realtime';
+const EVENTS_PATH = '/realtime/events';
+
+// Failed WebSocket attempts (never opened) before trying Server-Sent Events instead
+const MAX_SOCKET_FAILURES = 2;
+
+// Attempts that never opened, on any transport, before deciding the server has no
+// realtime channel - only counted until the first successful connection
+const MAX_FAILED_OPENS = 4;
+
+// Reconnect delays grow from the first to the last value, doubling each time
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 60000;
+
+export const REALTIME_STATUS = {
+  IDLE: 'idle',               // nobody is listening
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  CLOSED: 'closed',           // dropped or unavailable - a reconnect is scheduled
+  UNSUPPORTED: 'unsupported'  // the server has no realtime channel - no more attempts this session
+};
+
+const TRANSPORTS = {
+  WEBSOCKET: 'websocket',
+  SSE: 'sse'
+};
+
+const realtimeUrl = (transport, token) => {
+  const base = API_URL.replace(/\/+$/, '');
+  return transport === TRANSPORTS.SSE
+    ? `${base}${EVENTS_PATH}?token=${encodeURIComponent(token)}`
+    : `${base.replace(/^http/i, 'ws')}${REALTIME_PATH}`;
+};
+
+const canUseSse = () => typeof EventSource !== 'undefined';
+
+// The open WebSocket or EventSource - both have close()
+let socket = null;
+let transport = TRANSPORTS.WEBSOCKET;
+let socketFailures = 0;
+let failedOpens = 0;
+let hasEverOpened = false;
+let status = REALTIME_STATUS.IDLE;
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+
+// type -> Set of handlers
+const handlers = new Map();
+const statusListeners = new Set();
+
+const handlerCount = () => [...handlers.values()].reduce((count, set) => count + set.size, 0);
+
+const setStatus = (nextStatus) => {
+  if (status === nextStatus) return;
+  status = nextStatus;
+  statusListeners.forEach(listener => listener(status));
+};
+
+const clearReconnect = () => {
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+};
+
+// Exponential backoff with some jitter so clients don't all reconnect at once
+const scheduleReconnect = () => {
+  clearReconnect();
+  if (handlerCount() === 0) return;
+
+  const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_MIN_MS * 2 ** reconnectAttempts);
+  reconnectAttempts++;
+  reconnectTimer = setTimeout(connect, delay / 2 + Math.random() * (delay / 2));
+};
+
+const handleMessage = (event) => {
+  let message;
+  try {
+    message = JSON.parse(event.data);
+  } catch (error) {
+    console.log('Ignoring realtime message that is not JSON');
+    return;
+  }
+
+  const typeHandlers = handlers.get(message?.type);
+  if (typeHandlers) {
+    typeHandlers.forEach(handler => handler(message.data));
+  }
+};
+
+// Called when the connection drops or could not be opened at all
+const handleClosed = (current, wasOpen) => {
+  if (socket !== current) return;
+  socket = null;
+
+  if (!wasOpen && !hasEverOpened) {
+    failedOpens++;
+    if (failedOpens >= MAX_FAILED_OPENS) {
+      console.log('Server has no realtime channel, giving up on it');
+      clearReconnect();
+      setStatus(REALTIME_STATUS.UNSUPPORTED);
+      return;
+    }
+  }
+
+  // A WebSocket that never opens is likely blocked (proxy, server without sockets)
+  if (transport === TRANSPORTS.WEBSOCKET && !wasOpen) {
+    socketFailures++;
+    if (socketFailures >= MAX_SOCKET_FAILURES && canUseSse()) {
+      console.log('WebSocket unavailable, switching to Server-Sent Events');
+      transport = TRANSPORTS.SSE;
+      reconnectAttempts = 0;
+    }
+  }
+
+  setStatus(handlerCount() > 0 ? REALTIME_STATUS.CLOSED : REALTIME_STATUS.IDLE);
+  scheduleReconnect();
+};
+
+const handleOpen = () => {
+  console.log('Realtime channel open over', transport);
+  reconnectAttempts = 0;
+  socketFailures = 0;
+  hasEverOpened = true;
+  setStatus(REALTIME_STATUS.OPEN);
+};
+
+function connect() {
+  clearReconnect();
+  const token = getAuthToken();
+  if (socket || !token || handlerCount() === 0 || status === REALTIME_STATUS.UNSUPPORTED) return;
+
+  if (transport === TRANSPORTS.WEBSOCKET && typeof WebSocket === 'undefined') {
+    if (!canUseSse()) return;
+    transport = TRANSPORTS.SSE;
+  }
+
+  setStatus(REALTIME_STATUS.CONNECTING);
+  let wasOpen = false;
+
+  if (transport === TRANSPORTS.SSE) {
+    const current = new EventSource(realtimeUrl(transport, token));
+    socket = current;
+
+    current.onopen = () => {
+      wasOpen = true;
+      handleOpen();
+    };
+    current.onmessage = handleMessage;
+
+    // EventSource retries on its own without backoff - close it and use ours
+    current.onerror = () => {
+      current.close();
+      handleClosed(current, wasOpen);
+    };
+    return;
+  }
+
+  const current = new WebSocket(realtimeUrl(transport, token));
+  socket = current;
+
+  current.onopen = () => {
+    wasOpen = true;
+    current.send(JSON.stringify({ type: 'auth', data: { token } }));
+    handleOpen();
+  };
+
+  current.onmessage = handleMessage;
+
+  // onerror is always followed by onclose, which handles the reconnect
+  current.onerror = () => {
+    console.log('Realtime channel error');
+  };
+
+  current.onclose = () => handleClosed(current, wasOpen);
+}
+
+const disconnect = () => {
+  clearReconnect();
+  reconnectAttempts = 0;
+
+  if (socket) {
+    const current = socket;
+    socket = null;
+    current.close();
+  }
+  if (status !== REALTIME_STATUS.UNSUPPORTED) {
+    setStatus(REALTIME_STATUS.IDLE);
+  }
+};
+
+export default {
+  // Listen to one type of message - the channel opens with the first listener and
+  // closes after the last one leaves. Returns an unsubscribe function.
+  subscribe: (type, handler) => {
+    if (!handlers.has(type)) handlers.set(type, new Set());
+    handlers.get(type).add(handler);
+    connect();
+
+    return () => {
+      handlers.get(type)?.delete(handler);
+      if (handlerCount() === 0) disconnect();
+    };
+  },
+
+  // Follow the channel status - listener(status) with one of REALTIME_STATUS.
+  // Returns an unsubscribe function.
+  onStatusChange: (listener) => {
+    statusListeners.add(listener);
+    listener(status);
+
+    return () => statusListeners.delete(listener);
+  },
+
+  isOpen: () => status === REALTIME_STATUS.OPEN,
+
+  // Try again right away (e.g. when the app comes back to the foreground)
+  reconnectNow: () => {
+    if (!socket && handlerCount() > 0) {
+      reconnectAttempts = 0;
+      connect();
+    }
+  }
+};
@@ -0,0 +1,125 @@
+// services/RevisionService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import ApiClient from './ApiClient';
+import { getPostTags } from './TagService';
+
+// Revisions recorded on this device when the server keeps no history, per user
+const localRevisionsKey = (userId) => `postRevisions:${userId}`;
+const MAX_LOCAL_REVISIONS = 30;
+
+// null until the first request, then whether /post/:id/revisions exists.
+// The server's history is the real one - it also holds edits by other people -
+// so History asks it every time and only falls back to this device's copy on a 404.
+let serverSupported = null;
+
+// Every revision is a full copy of the post after an edit (the first one is the original)
+const normalizeRevision = (revision) => {
+  const editor = revision.editor || revision.Editor || revision.User || null;
+  return {
+    id: String(revision.id),
+    title: revision.title || '',
+    content: revision.content || '',
+    tags: getPostTags(revision),
+    editor: editor ? { id: editor.id, name: editor.name } : null,
+    createdAt: revision.createdAt
+  };
+};
+
+const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+const readLocal = async (userId) => {
+  try {
+    const stored = await AsyncStorage.getItem(localRevisionsKey(userId));
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error loading local revisions:', error);
+    return {};
+  }
+};
+
+const writeLocal = async (userId, revisions) => {
+  try {
+    await AsyncStorage.setItem(localRevisionsKey(userId), JSON.stringify(revisions));
+  } catch (error) {
+    console.error('Error saving local revisions:', error);
+  }
+};
+
+// Ask the server for a post's revisions - returns them, or null when the server keeps none
+const fetchServerRevisions = async (postId) => {
+  try {
+    const response = await ApiClient.get(`/post/${postId}/revisions`);
+    const revisions = response.data && response.data.data ? response.data.data : response.data;
+    serverSupported = true;
+    return (Array.isArray(revisions) ? revisions : []).map(normalizeRevision).sort(newestFirst);
+  } catch (error) {
+    if (error.response?.status !== 404) throw error;
+
+    console.log('Server keeps no revisions, using the history recorded on this device');
+    serverSupported = false;
+    return null;
+  }
+};
+
+const snapshot = (post, editor, createdAt) => ({
+  id: `local-${new Date(createdAt).getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+  title: post.title,
+  content: post.content,
+  tags: getPostTags(post),
+  editor,
+  createdAt
+});
+
+export default {
+  // Revisions of a post, newest first - the server's, or the ones this user recorded
+  // on this device when the server keeps none
+  getRevisions: async (postId, userId) => {
+    try {
+      const revisions = await fetchServerRevisions(postId);
+      if (revisions) return revisions;
+    } catch (error) {
+      console.error(`Error fetching revisions for post ${postId}:`, error);
+      console.error('Error details:', error.response?.data || error.message);
+      throw error;
+    }
+
+    if (userId == null) return [];
+    const local = await readLocal(userId);
+    return (local[String(postId)] || []).sort(newestFirst);
+  },
+
+  // True when the history only holds edits made on this device (the server keeps none),
+  // so edits by other people or from other devices are missing from it
+  isLocalOnly: () => serverSupported === false,
+
+  // Record an update made from this device by editor ({ id, name }) - only when the
+  // server is known to keep no revisions itself, so the history never holds a copy of the server's
+  recordUpdate: async (previousPost, updatedFields, editor) => {
+    if (!previousPost || editor?.id == null) return;
+
+    if (serverSupported === null) {
+      try {
+        await fetchServerRevisions(previousPost.id);
+      } catch (error) {
+        console.log('Could not check for server revisions, not recording this edit');
+      }
+    }
+    if (serverSupported !== false) return;
+
+    const local = await readLocal(editor.id);
+    const key = String(previousPost.id);
+    const revisions = local[key] || [];
+
+    // The first recorded edit also keeps the version it replaced
+    if (revisions.length === 0) {
+      const author = previousPost.User
+        ? { id: previousPost.User.id ?? previousPost.userId, name: previousPost.User.name }
+        : null;
+      revisions.push(snapshot(previousPost, author, previousPost.updatedAt || previousPost.createdAt));
+    }
+
+    revisions.push(snapshot({ ...previousPost, ...updatedFields }, editor, new Date().toISOString()));
+    local[key] = revisions.slice(-MAX_LOCAL_REVISIONS);
+    await writeLocal(editor.id, local);
+  }
+};
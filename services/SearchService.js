@@ -0,0 +1,91 @@
+// services/SearchService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const RECENT_SEARCHES_KEY = 'recentSearches';
+const MAX_RECENT_SEARCHES = 10;
+
+// Split a query into lowercase terms
+export const getSearchTerms = (query) => {
+  return (query || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+};
+
+// A post matches when every term appears in its title, content or author name
+export const matchesPost = (post, terms) => {
+  const haystack = [post.title, post.content, post.User?.name]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+  return terms.every(term => haystack.includes(term));
+};
+
+// Client-side search used when the backend has no search support
+export const filterPosts = (posts, query) => {
+  const terms = getSearchTerms(query);
+  if (terms.length === 0) return posts;
+
+  return posts.filter(post => matchesPost(post, terms));
+};
+
+// Excerpt of the content centred on the first match so it is visible in a two-line preview
+export const buildExcerpt = (content, terms, radius = 60) => {
+  const text = content || '';
+  const lowerText = text.toLowerCase();
+
+  const firstMatch = terms
+    .map(term => lowerText.indexOf(term))
+    .filter(index => index >= 0)
+    .sort((a, b) => a - b)[0];
+
+  if (firstMatch === undefined || firstMatch < radius) {
+    return text;
+  }
+
+  const start = Math.max(0, firstMatch - radius);
+  return `...${text.slice(start)}`;
+};
+
+export default {
+  // Most recent first
+  getRecentSearches: async () => {
+    try {
+      const stored = await AsyncStorage.getItem(RECENT_SEARCHES_KEY);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error loading recent searches:', error);
+      return [];
+    }
+  },
+
+  // Move the query to the top of the history, keeping the list short
+  addRecentSearch: async (query) => {
+    const trimmed = (query || '').trim();
+    if (!trimmed) return [];
+
+    try {
+      const stored = await AsyncStorage.getItem(RECENT_SEARCHES_KEY);
+      const recent = stored ? JSON.parse(stored) : [];
+      const updated = [
+        trimmed,
+        ...recent.filter(item => item.toLowerCase() !== trimmed.toLowerCase())
+      ].slice(0, MAX_RECENT_SEARCHES);
+
+      await AsyncStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(updated));
+      return updated;
+    } catch (error) {
+      console.error('Error saving recent search:', error);
+      return [];
+    }
+  },
+
+  clearRecentSearches: async () => {
+    try {
+      await AsyncStorage.removeItem(RECENT_SEARCHES_KEY);
+    } catch (error) {
+      console.error('Error clearing recent searches:', error);
+    }
+  }
+};
@@ -0,0 +1,263 @@
+// services/SyncQueue.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { isNetworkError, isTimeoutError } from './ApiClient';
+
+// Persisted list of post mutations waiting to be sent to the server. Every item
+// records the user who queued it and is only shown to and replayed for that user.
+const QUEUE_STORAGE_KEY = 'syncQueue';
+
+// Item statuses
+export const SYNC_STATUS = {
+  PENDING: 'pending',     // waiting for connectivity
+  SYNCING: 'syncing',     // currently being replayed
+  FAILED: 'failed',       // rejected by the server - retry or discard
+  CONFLICT: 'conflict'    // the post changed on the server since it was edited
+};
+
+let items = [];
+let ownerId = null;
+let isLoaded = false;
+let isFlushing = false;
+let executor = null;
+const listeners = new Set();
+
+// Items that belong to the logged-in user - others stay parked in storage until
+// their owner logs in again (items without an owner are never replayed)
+const ownItems = () => (
+  ownerId == null ? [] : items.filter(item => item.ownerId != null && String(item.ownerId) === String(ownerId))
+);
+
+const generateId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Read the queue from storage once
+const load = async () => {
+  if (isLoaded) return items;
+
+  try {
+    const stored = await AsyncStorage.getItem(QUEUE_STORAGE_KEY);
+    items = stored ? JSON.parse(stored) : [];
+
+    // Anything left "syncing" was interrupted (app closed mid-request)
+    items = items.map(item => (
+      item.status === SYNC_STATUS.SYNCING ? { ...item, status: SYNC_STATUS.PENDING } : item
+    ));
+  } catch (error) {
+    console.error('Error loading sync queue:', error);
+    items = [];
+  }
+
+  isLoaded = true;
+  return items;
+};
+
+// Save the queue and notify subscribers
+const persist = async () => {
+  try {
+    await AsyncStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(items));
+  } catch (error) {
+    console.error('Error saving sync queue:', error);
+  }
+
+  listeners.forEach(listener => listener(ownItems()));
+};
+
+const updateItem = async (itemId, changes) => {
+  items = items.map(item => (item.id === itemId ? { ...item, ...changes } : item));
+  await persist();
+};
+
+const removeItem = async (itemId) => {
+  items = items.filter(item => item.id !== itemId);
+  await persist();
+};
+
+// Replay a single item; returns false when still offline so the flush can stop
+const replay = async (item, token, { force = false } = {}) => {
+  await updateItem(item.id, { status: SYNC_STATUS.SYNCING, error: null });
+
+  try {
+    const result = await executor(item, token, { force });
+
+    if (result?.conflict) {
+      await updateItem(item.id, {
+        status: SYNC_STATUS.CONFLICT,
+        serverPost: result.serverPost,
+        error: 'This post was changed on the server after you edited it'
+      });
+      return true;
+    }
+
+    await removeItem(item.id);
+    return true;
+  } catch (error) {
+    // A create that timed out may have been saved - sending it again could duplicate it
+    if (item.type === 'createPost' && isTimeoutError(error)) {
+      await updateItem(item.id, {
+        status: SYNC_STATUS.FAILED,
+        error: 'The server did not answer in time. Check whether the post was published before retrying'
+      });
+      return true;
+    }
+
+    if (isNetworkError(error)) {
+      await updateItem(item.id, { status: SYNC_STATUS.PENDING });
+      return false;
+    }
+
+    console.error(`Sync of ${item.type} failed:`, error.response?.data || error.message);
+    await updateItem(item.id, {
+      status: SYNC_STATUS.FAILED,
+      error: error.response?.data?.message || error.message
+    });
+    return true;
+  }
+};
+
+// Latest queued mutation for an existing post, or null
+export const findPendingMutation = (queueItems, postId) => {
+  const related = queueItems.filter(item => item.postId != null && String(item.postId) === String(postId));
+  return related.length > 0 ? related[related.length - 1] : null;
+};
+
+// Sync details attached to posts as `_sync` so cards can show their state
+const toSyncInfo = (item) => ({
+  itemId: item.id,
+  type: item.type,
+  status: item.status,
+  error: item.error
+});
+
+// Overlay queued mutations on a list of posts so the UI reflects local changes:
+// queued creates appear first as placeholders, queued edits replace the content
+export const applyPendingMutations = (posts, queueItems, currentUser = null) => {
+  const updatedPosts = posts.map(post => {
+    const latest = findPendingMutation(queueItems, post.id);
+    if (!latest) return post;
+
+    const localChanges = queueItems
+      .filter(item => String(item.postId) === String(post.id) && item.postData)
+      .reduce((changes, item) => ({ ...changes, ...item.postData }), {});
+
+    return { ...post, ...localChanges, _sync: toSyncInfo(latest) };
+  });
+
+  const createdPosts = queueItems
+    .filter(item => item.type === 'createPost')
+    .map(item => ({
+      ...item.postData,
+      id: `pending-${item.id}`,
+      userId: currentUser?.id,
+      User: currentUser ? { id: currentUser.id, name: currentUser.name } : null,
+      createdAt: new Date(item.createdAt).toISOString(),
+      _sync: toSyncInfo(item)
+    }))
+    .reverse();
+
+  return [...createdPosts, ...updatedPosts];
+};
+
+// Placeholder ids used for posts that only exist in the queue
+export const isPendingPostId = (postId) => String(postId).startsWith('pending-');
+
+export default {
+  // Register the function that sends an item: (item, token, { force }) => result
+  setExecutor: (fn) => {
+    executor = fn;
+  },
+
+  // Switch to the queue of the logged-in user (null when logged out)
+  setOwner: async (userId) => {
+    await load();
+    if (ownerId === userId) return;
+
+    ownerId = userId;
+    listeners.forEach(listener => listener(ownItems()));
+  },
+
+  // Current queue contents for the logged-in user
+  getItems: async () => {
+    await load();
+    return ownItems();
+  },
+
+  // Subscribe to queue changes - returns an unsubscribe function
+  subscribe: (listener) => {
+    listeners.add(listener);
+    load().then(() => listener(ownItems()));
+
+    return () => listeners.delete(listener);
+  },
+
+  // Add a mutation to the end of the queue
+  enqueue: async ({ type, postId = null, postData = null, meta = {} }) => {
+    await load();
+
+    const item = {
+      id: generateId(),
+      ownerId,
+      type,
+      postId,
+      postData,
+      meta,
+      status: SYNC_STATUS.PENDING,
+      error: null,
+      createdAt: Date.now()
+    };
+
+    console.log('Queued offline mutation:', type, postId);
+    items = [...items, item];
+    await persist();
+
+    return item;
+  },
+
+  // Replay the logged-in user's pending items in order - stops at the first network failure
+  flush: async (token) => {
+    await load();
+    if (isFlushing || !executor || ownerId == null) return;
+
+    const flushOwner = ownerId;
+    isFlushing = true;
+    try {
+      const pendingIds = ownItems()
+        .filter(item => item.status === SYNC_STATUS.PENDING)
+        .map(item => item.id);
+
+      if (pendingIds.length > 0) {
+        console.log('Flushing sync queue, items:', pendingIds.length);
+      }
+
+      for (const itemId of pendingIds) {
+        // Stop if the user logged out halfway through
+        if (ownerId !== flushOwner) break;
+
+        const item = items.find(entry => entry.id === itemId);
+        if (!item || item.status !== SYNC_STATUS.PENDING) continue;
+
+        const isOnline = await replay(item, token);
+        if (!isOnline) break;
+      }
+    } finally {
+      isFlushing = false;
+    }
+  },
+
+  // Put a failed item back in line
+  retry: async (itemId) => {
+    await updateItem(itemId, { status: SYNC_STATUS.PENDING, error: null });
+  },
+
+  // Resolve a conflict by sending the local version anyway
+  overwrite: async (itemId, token) => {
+    const item = ownItems().find(entry => entry.id === itemId);
+    if (!item) return;
+
+    await replay(item, token, { force: true });
+  },
+
+  // Drop an item without sending it
+  discard: async (itemId) => {
+    console.log('Discarding queued mutation:', itemId);
+    await removeItem(itemId);
+  }
+};
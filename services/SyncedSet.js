@@ -0,0 +1,211 @@
+// services/SyncedSet.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import ApiClient, { isNetworkError } from './ApiClient';
+
+const authHeaders = (token) => ({
+  headers: {
+    'Authorization': `Bearer ${token}`
+  }
+});
+
+// List payload of a response, or null when it isn't one
+export const listFrom = (response) => {
+  const payload = response.data && response.data.data ? response.data.data : response.data;
+  return Array.isArray(payload) ? payload : null;
+};
+
+// A set of entries kept locally per viewer first, so changes are instant and work offline,
+// and mirrored to the server while it has the endpoints (bookmarks, follows).
+//   name                          - singular, for logs ("bookmark")
+//   storageKey                    - prefix of the per-viewer AsyncStorage key
+//   addRequest(id, config)        - add an entry on the server
+//   removeRequest(id, config)     - remove it
+//   listRequest(viewerId, config) - the viewer's entries on the server
+//   serverItemId(item)            - id of an item of that list
+//   toEntry(item, localEntry)     - local entry for an item of that list
+export const createSyncedSet = ({
+  name,
+  storageKey,
+  addRequest,
+  removeRequest,
+  listRequest,
+  serverItemId,
+  toEntry
+}) => {
+  // Set to false once the server answers 404 to the endpoints
+  let serverSupported = true;
+
+  // { viewerId, entries: { [id]: { ...entry, synced } }, pendingRemovals: [id] }
+  const EMPTY_STATE = { viewerId: null, entries: {}, pendingRemovals: [] };
+  let state = EMPTY_STATE;
+  let isSyncing = false;
+  const listeners = new Set();
+
+  const viewerStorageKey = (viewerId) => `${storageKey}:${viewerId}`;
+
+  const notify = () => {
+    listeners.forEach(listener => listener(state.entries));
+  };
+
+  const persist = async () => {
+    if (state.viewerId == null) return;
+
+    try {
+      const { entries, pendingRemovals } = state;
+      await AsyncStorage.setItem(viewerStorageKey(state.viewerId), JSON.stringify({ entries, pendingRemovals }));
+    } catch (error) {
+      console.error(`Error saving ${name}s:`, error);
+    }
+
+    notify();
+  };
+
+  // Run a server call; a 404 switches server sync off for the session
+  const callServer = async (request) => {
+    try {
+      await request();
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        console.log(`Server has no ${name} endpoints, keeping ${name}s local`);
+        serverSupported = false;
+      } else if (!isNetworkError(error)) {
+        console.error(`Error syncing ${name}s:`, error.response?.data || error.message);
+      }
+      return false;
+    }
+  };
+
+  const withoutPendingRemoval = (id) => state.pendingRemovals.filter(item => item !== id);
+
+  return {
+    // Subscribe to changes - listener receives { [id]: entry }. Returns an unsubscribe function.
+    subscribe: (listener) => {
+      listeners.add(listener);
+      listener(state.entries);
+
+      return () => listeners.delete(listener);
+    },
+
+    // Switch to the entries of the logged-in user (null when logged out)
+    setViewer: async (viewerId) => {
+      if (state.viewerId === viewerId) return;
+
+      state = { ...EMPTY_STATE, viewerId };
+      if (viewerId != null) {
+        try {
+          const stored = await AsyncStorage.getItem(viewerStorageKey(viewerId));
+          if (stored && state.viewerId === viewerId) {
+            state = { ...EMPTY_STATE, ...JSON.parse(stored), viewerId };
+          }
+        } catch (error) {
+          console.error(`Error loading ${name}s:`, error);
+        }
+      }
+      notify();
+    },
+
+    getViewerId: () => state.viewerId,
+
+    getEntries: () => state.entries,
+
+    has: (id) => !!state.entries[String(id)],
+
+    isServerSupported: () => serverSupported,
+
+    callServer,
+
+    // Add an entry locally, then on the server
+    add: async (id, entry, token) => {
+      const key = String(id);
+
+      state = {
+        ...state,
+        entries: { ...state.entries, [key]: { ...entry, synced: false } },
+        pendingRemovals: withoutPendingRemoval(key)
+      };
+      await persist();
+
+      if (serverSupported && token) {
+        const synced = await callServer(() => addRequest(key, authHeaders(token)));
+        if (synced && state.entries[key]) {
+          state = { ...state, entries: { ...state.entries, [key]: { ...state.entries[key], synced: true } } };
+          await persist();
+        }
+      }
+    },
+
+    // Remove an entry locally, then on the server
+    remove: async (id, token) => {
+      const key = String(id);
+      const { [key]: removed, ...entries } = state.entries;
+
+      // Only entries the server knows about need a server-side removal
+      const needsServerRemoval = removed?.synced;
+      state = {
+        ...state,
+        entries,
+        pendingRemovals: needsServerRemoval ? [...withoutPendingRemoval(key), key] : state.pendingRemovals
+      };
+      await persist();
+
+      if (needsServerRemoval && serverSupported && token) {
+        const synced = await callServer(() => removeRequest(key, authHeaders(token)));
+        if (synced) {
+          state = { ...state, pendingRemovals: withoutPendingRemoval(key) };
+          await persist();
+        }
+      }
+    },
+
+    // Change the local data of an existing entry
+    update: async (id, changes) => {
+      const key = String(id);
+      if (!state.entries[key]) return;
+
+      state = { ...state, entries: { ...state.entries, [key]: { ...state.entries[key], ...changes } } };
+      await persist();
+    },
+
+    // Push local changes to the server, then pull the server's list
+    syncWithServer: async (token) => {
+      const { viewerId } = state;
+      if (!serverSupported || !token || viewerId == null || isSyncing) return;
+
+      const config = authHeaders(token);
+      isSyncing = true;
+      try {
+        for (const id of [...state.pendingRemovals]) {
+          if (!await callServer(() => removeRequest(id, config))) return;
+          state = { ...state, pendingRemovals: withoutPendingRemoval(id) };
+        }
+
+        for (const [id, entry] of Object.entries(state.entries).filter(([, item]) => !item.synced)) {
+          if (!await callServer(() => addRequest(id, config))) return;
+          state = { ...state, entries: { ...state.entries, [id]: { ...entry, synced: true } } };
+        }
+
+        let serverItems = null;
+        await callServer(async () => {
+          serverItems = listFrom(await listRequest(viewerId, config));
+        });
+        if (!serverItems || state.viewerId !== viewerId) return;
+
+        // The server is the source of truth for entries that were already synced
+        const entries = {};
+        Object.entries(state.entries).forEach(([id, entry]) => {
+          if (!entry.synced) entries[id] = entry;
+        });
+        serverItems.forEach(item => {
+          const id = String(serverItemId(item));
+          entries[id] = entries[id] || { ...toEntry(item, state.entries[id] || null), synced: true };
+        });
+
+        state = { ...state, entries };
+      } finally {
+        isSyncing = false;
+        await persist();
+      }
+    }
+  };
+};
@@ -0,0 +1,141 @@
+// services/TagService.js
+import ApiClient from './ApiClient';
+import CacheService from './CacheService';
+import PostService from './PostService';
+
+const TAGS_CACHE_KEY = 'tags:all';
+
+// Most tags a single post can carry
+export const MAX_TAGS_PER_POST = 5;
+const MAX_TAG_LENGTH = 30;
+
+// Set to false once the server answers 404 to /tag/all
+let tagsEndpointSupported = true;
+
+// Tags are lowercase words joined by dashes, without a leading #
+export const normalizeTag = (name) => String(name || '')
+  .trim()
+  .replace(/^#+/, '')
+  .toLowerCase()
+  .replace(/[\s_]+/g, '-')
+  .replace(/[^a-z0-9À-ɏ-]/g, '')
+  .replace(/-+/g, '-')
+  .replace(/^-|-$/g, '')
+  .slice(0, MAX_TAG_LENGTH);
+
+// Tag names of a post, whether the backend sends strings or tag records
+export const getPostTags = (post) => {
+  const tags = post?.tags || post?.Tags || [];
+  return tags
+    .map(tag => (typeof tag === 'string' ? tag : tag?.name))
+    .filter(Boolean);
+};
+
+// Count tags across posts - used when the server has no tag listing
+const countTags = (posts) => {
+  const counts = {};
+  posts.forEach(post => {
+    getPostTags(post).forEach(tag => {
+      counts[tag] = (counts[tag] || 0) + 1;
+    });
+  });
+  return Object.entries(counts).map(([name, count]) => ({ name, count }));
+};
+
+const byPopularity = (a, b) => b.count - a.count || a.name.localeCompare(b.name);
+
+// Existing tags starting with (then containing) the query, most used first
+export const suggestTags = (query, allTags, exclude = [], limit = 6) => {
+  const normalized = normalizeTag(query);
+  if (!normalized) return [];
+
+  const candidates = allTags.filter(tag => !exclude.includes(tag.name));
+  const prefixMatches = candidates.filter(tag => tag.name.startsWith(normalized));
+  const otherMatches = candidates.filter(tag => !tag.name.startsWith(normalized) && tag.name.includes(normalized));
+
+  return [...prefixMatches, ...otherMatches].slice(0, limit);
+};
+
+const authHeaders = (token) => ({
+  headers: {
+    'Authorization': `Bearer ${token}`
+  }
+});
+
+export default {
+  // All tags with their post counts - resolves to [{ name, count }]
+  getAllTags: async () => {
+    if (tagsEndpointSupported) {
+      try {
+        const response = await ApiClient.get(`/tag/all`);
+        const tags = response.data && response.data.data ? response.data.data : response.data;
+
+        if (Array.isArray(tags)) {
+          const normalized = tags
+            .map(tag => (typeof tag === 'string'
+              ? { name: tag, count: 0 }
+              : { name: tag.name, count: tag.count ?? tag.postCount ?? 0 }))
+            .sort(byPopularity);
+          await CacheService.set(TAGS_CACHE_KEY, normalized);
+          return normalized;
+        }
+      } catch (error) {
+        if (error.response?.status === 404) {
+          console.log('Server has no tag listing, collecting tags from posts');
+          tagsEndpointSupported = false;
+        } else {
+          console.error('Error fetching tags:', error.response?.data || error.message);
+          const cached = await CacheService.get(TAGS_CACHE_KEY);
+          if (cached) return cached.data;
+        }
+      }
+    }
+
+    // Fall back to the tags of the posts we know about
+    try {
+      const posts = await PostService.getFullPostList();
+      return countTags(posts).sort(byPopularity);
+    } catch (error) {
+      const cached = await PostService.getCachedPosts();
+      return cached ? countTags(cached.data).sort(byPopularity) : [];
+    }
+  },
+
+  // Rename a tag on every post (admin only)
+  renameTag: async (name, newName, token) => {
+    try {
+      console.log('Renaming tag:', name, '->', newName);
+      const response = await ApiClient.put(
+        `/tag/rename`,
+        { from: name, to: newName },
+        authHeaders(token)
+      );
+
+      await CacheService.remove(TAGS_CACHE_KEY);
+      return response.data;
+    } catch (error) {
+      console.error(`Error renaming tag ${name}:`, error);
+      console.error('Error details:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  // Merge several tags into one (admin only) - the target may be new or one of the sources
+  mergeTags: async (names, target, token) => {
+    try {
+      console.log('Merging tags:', names, 'into', target);
+      const response = await ApiClient.post(
+        `/tag/merge`,
+        { sources: names, target },
+        authHeaders(token)
+      );
+
+      await CacheService.remove(TAGS_CACHE_KEY);
+      return response.data;
+    } catch (error) {
+      console.error('Error merging tags:', error);
+      console.error('Error details:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+};
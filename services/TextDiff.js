@@ -0,0 +1,124 @@
+// services/TextDiff.js
+
+// Changed blocks larger than this (in token pairs to compare) are shown as a whole
+const MAX_DIFF_CELLS = 250000;
+
+// Longest-common-subsequence diff of two token lists -> [{ type: 'equal' | 'added' | 'removed', tokens }].
+// The common start and end are matched directly, only the part in between goes through the LCS.
+const diffTokens = (allBefore, allAfter) => {
+  let prefix = 0;
+  while (prefix < allBefore.length && prefix < allAfter.length && allBefore[prefix] === allAfter[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < allBefore.length - prefix &&
+    suffix < allAfter.length - prefix &&
+    allBefore[allBefore.length - 1 - suffix] === allAfter[allAfter.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const before = allBefore.slice(prefix, allBefore.length - suffix);
+  const after = allAfter.slice(prefix, allAfter.length - suffix);
+
+  const parts = [];
+  const push = (type, token) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.tokens.push(token);
+    } else {
+      parts.push({ type, tokens: [token] });
+    }
+  };
+
+  allBefore.slice(0, prefix).forEach(token => push('equal', token));
+
+  if (before.length * after.length > MAX_DIFF_CELLS) {
+    before.forEach(token => push('removed', token));
+    after.forEach(token => push('added', token));
+  } else {
+    diffMiddle(before, after, push);
+  }
+
+  allBefore.slice(allBefore.length - suffix).forEach(token => push('equal', token));
+
+  return parts;
+};
+
+// LCS table walk for the changed middle of two token lists
+function diffMiddle(before, after, push) {
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  const lengths = Array.from({ length: rows }, () => new Uint32Array(cols));
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      push('equal', before[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', before[i++]);
+    } else {
+      push('added', after[j++]);
+    }
+  }
+  while (i < before.length) push('removed', before[i++]);
+  while (j < after.length) push('added', after[j++]);
+}
+
+// Words with their trailing whitespace, so joining the tokens gives the text back
+const toWords = (text) => text.match(/^\s+|\S+\s*/g) || [];
+
+// Lines with their line break kept
+const toLines = (text) => text.match(/[^\n]*\n|[^\n]+$/g) || [];
+
+// Compare two texts - returns [{ type: 'equal' | 'added' | 'removed', text }].
+// Lines are compared first, then the words inside changed lines.
+export const diffText = (before, after) => {
+  const lineParts = diffTokens(toLines(before || ''), toLines(after || ''));
+  const result = [];
+
+  const pushText = (type, text) => {
+    if (!text) return;
+    const last = result[result.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      result.push({ type, text });
+    }
+  };
+
+  for (let index = 0; index < lineParts.length; index++) {
+    const part = lineParts[index];
+    const next = lineParts[index + 1];
+
+    // A removed block followed by an added one is an edit - show which words changed
+    if (part.type === 'removed' && next?.type === 'added') {
+      const removedWords = toWords(part.tokens.join(''));
+      const addedWords = toWords(next.tokens.join(''));
+
+      diffTokens(removedWords, addedWords).forEach(wordPart => pushText(wordPart.type, wordPart.tokens.join('')));
+      index++;
+      continue;
+    }
+
+    pushText(part.type, part.tokens.join(''));
+  }
+
+  return result;
+};
+
+// True when the diff has any change at all
+export const hasChanges = (parts) => parts.some(part => part.type !== 'equal');
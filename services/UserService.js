@@ -0,0 +1,131 @@
+// services/UserService.js
+import ApiClient from './ApiClient';
+import PostService, { DEFAULT_PAGE_SIZE } from './PostService';
+
+// Set to false once the server answers 404 to /user/:id
+let publicProfilesSupported = true;
+
+// Set to false once the server answers 404 to /user/:id/posts
+let userPostsSupported = true;
+
+// Posts of one author, filtered from the full list when the server can't page them itself
+let filteredPosts = { userId: null, posts: [] };
+
+// Fields only admins (and the user themselves) may see
+const PRIVATE_FIELDS = ['email', 'password', 'refreshToken', 'resetToken'];
+
+// Profile fields in one shape whatever the server calls them
+const normalizeProfile = (profile) => ({
+  ...profile,
+  avatarUrl: profile.avatarUrl || profile.avatar || profile.picture || null,
+  postCount: profile.postCount ?? profile.postsCount ?? profile.Posts?.length ?? null,
+  followerCount: profile.followerCount ?? profile.followersCount ?? profile.Followers?.length ?? null,
+  followingCount: profile.followingCount ?? profile.Following?.length ?? null
+});
+
+// Drop private fields for viewers who shouldn't see them
+export const toPublicProfile = (profile, { includePrivate = false } = {}) => {
+  if (!profile || includePrivate) return profile;
+
+  const publicProfile = { ...profile };
+  PRIVATE_FIELDS.forEach(field => delete publicProfile[field]);
+  return publicProfile;
+};
+
+const slicePage = (posts, page, limit) => ({
+  posts: posts.slice((page - 1) * limit, page * limit),
+  page,
+  hasMore: page * limit < posts.length,
+  total: posts.length
+});
+
+// Posts of one author from the full list, newest first. The list is shared with other
+// fallbacks, so loading the profile and the first page together costs one request.
+const loadFilteredPosts = async (userId) => {
+  const allPosts = await PostService.getFullPostList();
+  const posts = allPosts
+    .filter(post => String(post.userId) === String(userId))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  filteredPosts = { userId, posts };
+  return posts;
+};
+
+export default {
+  // Public profile of any user. Servers without /user/:id get a profile pieced together
+  // from the author's posts. Private fields are left for the screen to hide.
+  getProfile: async (userId) => {
+    if (publicProfilesSupported) {
+      try {
+        const response = await ApiClient.get(`/user/${userId}`);
+        const profile = response.data && response.data.data ? response.data.data : response.data;
+        return normalizeProfile(profile);
+      } catch (error) {
+        if (error.response?.status !== 404) {
+          console.error(`Error fetching profile of user ${userId}:`, error);
+          console.error('Error details:', error.response?.data || error.message);
+          throw error;
+        }
+
+        console.log('Server has no public profiles, using the author details of their posts');
+        publicProfilesSupported = false;
+      }
+    }
+
+    const posts = await loadFilteredPosts(userId);
+    const author = posts.find(post => post.User)?.User;
+    if (!author) {
+      const error = new Error('User not found');
+      error.response = { status: 404, data: { message: 'User not found' } };
+      throw error;
+    }
+
+    return normalizeProfile({
+      id: author.id ?? userId,
+      ...author,
+      // Without a join date the first post is the best we know
+      createdAt: author.createdAt || posts[posts.length - 1]?.createdAt || null,
+      postCount: posts.length
+    });
+  },
+
+  // One page of an author's posts - resolves to { posts, page, hasMore, total }
+  // where total is null when the server doesn't say
+  getPostsPage: async (userId, { page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+    if (userPostsSupported) {
+      try {
+        const response = await ApiClient.get(`/user/${userId}/posts`, { params: { page, limit } });
+        const body = response.data;
+        const posts = Array.isArray(body) ? body : (body?.data || []);
+        const pagination = Array.isArray(body) ? null : (body?.pagination || body?.meta || null);
+
+        // Everything at once - page it here
+        if (!pagination && posts.length > limit) {
+          filteredPosts = { userId, posts };
+          return slicePage(posts, page, limit);
+        }
+
+        return {
+          posts,
+          page,
+          hasMore: pagination?.totalPages != null ? page < pagination.totalPages : posts.length === limit,
+          total: pagination?.total ?? pagination?.totalItems ?? null
+        };
+      } catch (error) {
+        if (error.response?.status !== 404) {
+          console.error(`Error fetching posts of user ${userId}:`, error);
+          console.error('Error details:', error.response?.data || error.message);
+          throw error;
+        }
+
+        console.log('Server has no per-user posts, filtering the full list');
+        userPostsSupported = false;
+      }
+    }
+
+    const posts = page > 1 && String(filteredPosts.userId) === String(userId)
+      ? filteredPosts.posts
+      : await loadFilteredPosts(userId);
+    return slicePage(posts, page, limit);
+  }
+};